@@ -0,0 +1,199 @@
+import path from 'path';
+import { trace, setLogger } from './logger.js';
+import { UserInputError } from './errors.js';
+import { loadProjectConfig, applyProjectConfig, validateOptions } from './modules/config.js';
+import {
+  checkExtractConfig, extractProject, prepareOutput, writeOutput,
+} from './modules/extractor.js';
+import { buildManifest } from './modules/manifestBuilder.js';
+import { readManifest } from './modules/fileSystem.js';
+import { encodeManifest, decodeManifest } from './modules/manifestCodec.js';
+
+export { encodeManifest, decodeManifest };
+
+// Options only the API takes; the others are validated like config file options
+const API_OPTIONS = ['sourcePath', 'configPath', 'outputPath', 'since', 'rev', 'logger'];
+
+// Methods a logger given to the API must have
+const LOGGER_METHODS = ['info', 'warn', 'error', 'fatal'];
+
+// Config file options that are relative to the config file, so have no meaning in code
+const FILE_ONLY_OPTIONS = { output: 'outputPath', overrides: 'a config file' };
+
+/**
+ * Extracts the manifest of a project without printing anything
+ * @param {object} options - Extraction options: the config file options (include, exclude, extensions,
+ *   plugins, format, compress, fullFormat, exportsOnly, depth, includeLocals, maxTypeLength, gitignore,
+ *   includeMinified, maxFileSize, strict, concurrency, cache, cacheDir, maxTokens, split, splitBy, chunkTokens) plus:
+ * @param {string} options.sourcePath - Project folder
+ * @param {string|false} [options.configPath] - Config file to use; false ignores config files, which are searched
+ *   upward from the source folder otherwise
+ * @param {string} [options.outputPath] - Also write the output here, as the command line does
+ * @param {string} [options.since] - Git ref; only files changed since its merge base are extracted in full
+ * @param {string} [options.rev] - Git commit to extract instead of the working tree
+ * @param {object} [options.logger] - Logger for the library's call traces, such as a pino logger; nothing is logged
+ *   otherwise. Files parsed in worker threads are not traced.
+ * @returns {Promise<object>} - { manifest: manifest with the output options applied, text: rendered output
+ *   for text and graph formats, index and chunks with split, omitted: what maxTokens left out or null,
+ *   diagnostics: files that failed to parse, recovered syntax errors and files without calls, skipped: files discovery skipped
+ *   as { path, reason }, fileCount, cachedCount, outputPath when written }
+ */
+export const extractManifest = trace(async function extractManifest(options) {
+  const config = await createConfig(options);
+  return runExtraction(config, () => {});
+});
+
+/**
+ * Extracts the manifest of a project, yielding each file as soon as it is parsed
+ * @param {object} options - Options of extractManifest
+ * @returns {AsyncGenerator<object>} - { type: 'file', file } with the file's manifest entry (imports not yet
+ *   resolved) or { type: 'diagnostic', diagnostic } for a file that failed to parse, in completion order; then
+ *   { type: 'done', result } with the result of extractManifest
+ */
+export const streamManifest = trace(async function* streamManifest(options) {
+  const config = await createConfig(options);
+
+  // Results arrive through a callback, so they are queued until the consumer asks for them
+  const queue = [];
+  let wake = null;
+  const push = event => {
+    queue.push(event);
+    if (wake) {
+      wake();
+      wake = null;
+    }
+  };
+
+  const extraction = runExtraction(config, result => push({ type: 'result', result }));
+  extraction.then(
+    result => push({ type: 'done', result }),
+    error => push({ type: 'error', error }),
+  );
+
+  for (;;) {
+    if (queue.length === 0) {
+      await new Promise(resolve => {
+        wake = resolve;
+      });
+    }
+    const event = queue.shift();
+    if (event.type === 'error') {
+      throw event.error;
+    }
+    if (event.type === 'done') {
+      yield event;
+      return;
+    }
+    yield toFileEvent(event.result, config.sourcePath);
+  }
+});
+
+/**
+ * Loads a written manifest, whether plain JSON, gzip-compressed, in the compact encoding or with the
+ * string table of earlier versions
+ * @param {string} filePath - Manifest file
+ * @returns {Promise<object>} - The manifest, as extractManifest returns it
+ */
+export const loadManifest = trace(async function loadManifest(filePath) {
+  if (typeof filePath !== 'string') {
+    throw new UserInputError('loadManifest needs the path of a manifest file');
+  }
+  return readManifest(path.resolve(filePath));
+});
+
+/**
+ * Runs an extraction and applies the output options
+ * @param {object} config - Final configuration
+ * @param {Function} onResult - Called with each parse result as it arrives
+ * @returns {Promise<object>} - Result of extractManifest
+ */
+async function runExtraction(config, onResult) {
+  const extraction = await extractProject(config, { onResult });
+  const output = prepareOutput(extraction.manifest, config);
+  const written = config.outputPath ? await writeOutput(output, config) : {};
+
+  return {
+    ...output,
+    diagnostics: extraction.manifest.diagnostics,
+    skipped: extraction.skipped,
+    fileCount: extraction.fileCount,
+    cachedCount: extraction.cachedCount,
+    ...(written.outputPath && { outputPath: written.outputPath }),
+  };
+}
+
+/**
+ * Turns a parse result into a streamed event
+ * @param {object} result - Parse result, as { filePath, metadata, hash } or { filePath, error }
+ * @param {string} sourcePath - Project folder
+ * @returns {object} - { type: 'file', file } or { type: 'diagnostic', diagnostic }
+ */
+function toFileEvent(result, sourcePath) {
+  if (result.error) {
+    return {
+      type: 'diagnostic',
+      diagnostic: { path: path.relative(sourcePath, result.filePath), ...result.error.diagnostic },
+    };
+  }
+  return { type: 'file', file: buildManifest([result], sourcePath).files[0] };
+}
+
+/**
+ * Builds the final configuration from API options, merging the project config file like the command line does
+ * @param {object} options - Options of extractManifest
+ * @returns {Promise<object>} - Final configuration
+ */
+async function createConfig(options) {
+  if (!options || typeof options !== 'object' || typeof options.sourcePath !== 'string') {
+    throw new UserInputError('extractManifest needs an options object with a sourcePath');
+  }
+  if (options.logger !== undefined) {
+    if (!options.logger || LOGGER_METHODS.some(method => typeof options.logger[method] !== 'function')) {
+      throw new UserInputError(`Option "logger" must have ${LOGGER_METHODS.join(', ')} methods`);
+    }
+    setLogger(options.logger);
+  }
+
+  const fileOptions = {};
+  Object.entries(options).forEach(([key, value]) => {
+    if (FILE_ONLY_OPTIONS[key]) {
+      throw new UserInputError(`Option "${key}" is only read from config files; use ${FILE_ONLY_OPTIONS[key]} instead`);
+    }
+    if (!API_OPTIONS.includes(key) && value !== undefined) {
+      fileOptions[key] = value;
+    }
+  });
+  const validated = validateOptions(fileOptions, 'extractManifest options');
+
+  const sourcePath = path.resolve(options.sourcePath);
+  const projectConfig = options.configPath === false
+    ? null
+    : await loadProjectConfig(sourcePath, options.configPath);
+
+  // Options given in code win over the config file, as command line options do
+  const config = applyProjectConfig({
+    command: 'extract',
+    sourcePath,
+    llmOptimized: !validated.fullFormat,
+    gitignore: true,
+    cache: true,
+    includeExternals: true,
+    since: options.since || null,
+    rev: options.rev || null,
+    ...validated,
+    provided: Object.keys(validated),
+  }, projectConfig);
+
+  // Output is only written when asked for; a config file's output path applies to the command line
+  config.outputPath = options.outputPath ? path.resolve(options.outputPath) : null;
+  checkExtractConfig(config);
+  return config;
+}
+
+export default {
+  extractManifest,
+  streamManifest,
+  loadManifest,
+  encodeManifest,
+  decodeManifest,
+};
@@ -1,78 +1,132 @@
 import path from 'path';
+import { readFileSync } from 'fs';
 import dotenv from 'dotenv';
-import logger, { trace, readLastError } from './logger.js';
+import logger, {
+  trace, readLastError, enableFileLogging, installProcessHandlers,
+} from './logger.js';
 import { parseCliArguments, printUsage } from './modules/cli.js';
-import { findSourceFiles, readFile, writeManifest } from './modules/fileSystem.js';
-import { parseFile } from './modules/parser.js';
-import { buildManifest, optimizeManifest, optimizeForLLM } from './modules/manifestBuilder.js';
+import { writeManifest, readManifest } from './modules/fileSystem.js';
+import {
+  checkExtractConfig, extractProject, prepareOutput, writeOutput,
+} from './modules/extractor.js';
+import { GRAPH_FORMATS } from './modules/graphWriter.js';
+import { analyzeManifest, formatAnalysisReport } from './modules/analyzer.js';
+import { loadProjectConfig, applyProjectConfig } from './modules/config.js';
+import { watchSourceTree } from './modules/watcher.js';
+import { diffSymbols, diffManifests, formatDiffMarkdown } from './modules/manifestDiff.js';
+import { DEFAULT_CHUNK_TOKENS } from './modules/manifestSplitter.js';
+import { parseQuery, runQuery, formatQueryResult } from './modules/manifestQuery.js';
+import { createMcpServer, serveStdio } from './modules/mcpServer.js';
+import { createManifestTools } from './modules/manifestTools.js';
 import { UserInputError, FileSystemError, ParseError } from './errors.js';
 
 // Load environment variables
 dotenv.config();
 
+// Skipped files listed in the extraction summary
+const MAX_LISTED_SKIPPED_FILES = 20;
+
+// Symbol changes listed per watch update
+const MAX_LISTED_SYMBOL_CHANGES = 20;
+
+// How each --max-tokens reduction step is described in the extraction summary
+const BUDGET_STEP_LABELS = {
+  privateMembers: 'private members',
+  paramTypes: 'parameter types',
+  calls: 'calls',
+  nonExported: 'non-exported symbols',
+  files: 'files',
+};
+
+// Files besides sources whose changes affect discovery or import resolution in watch mode
+const WATCHED_CONFIG_FILES = ['.gitignore', 'package.json', 'tsconfig.json', 'jsconfig.json'];
+
 /**
  * Main function
  */
 async function main() {
   try {
     // Parse command line arguments
-    const config = parseCliArguments();
+    const cliConfig = parseCliArguments();
     
     // Check for help flag
-    if (config.help) {
+    if (cliConfig.help) {
       printUsage();
       return;
     }
     
-    logger.info({ config }, 'Starting extraction');
+    // Comparing manifests needs no project
+    if (cliConfig.command === 'diff') {
+      await runDiff(applyProjectConfig(cliConfig, null));
+      return;
+    }
+    if (cliConfig.command === 'query') {
+      await runManifestQuery(applyProjectConfig(cliConfig, null));
+      return;
+    }
     
-    // Find all source files
-    const filePaths = await findSourceFiles(config.sourcePath);
-    logger.info(`Found ${filePaths.length} source files to process`);
+    // Merge the project config file; command line options win
+    const projectConfig = await loadProjectConfig(cliConfig.sourcePath, cliConfig.configPath);
+    const config = applyProjectConfig(cliConfig, projectConfig);
     
-    // Process each file
-    const processedFiles = [];
-    for (const filePath of filePaths) {
-      logger.debug(`Processing ${filePath}`);
-      
-      // Read file content
-      const content = await readFile(filePath);
-      
-      // Parse the file
-      const metadata = parseFile(content, filePath);
-      
-      // Add to processed files
-      processedFiles.push({
-        filePath,
-        metadata,
-      });
+    if (config.watch && config.command !== 'extract') {
+      throw new UserInputError('--watch keeps an extracted manifest up to date and cannot be used with analyze or serve');
     }
+    if ((config.watch || config.command === 'serve') && (config.since || config.rev)) {
+      throw new UserInputError(`${config.watch ? '--watch' : 'serve'} follows the working tree and cannot be used with --since or --rev`);
+    }
+    checkExtractConfig(config);
     
-    // Build the manifest
-    const manifest = buildManifest(processedFiles, config.sourcePath);
-    
-    // Apply optimizations
-    let finalManifest = manifest;
+    logger.info({ config }, 'Starting extraction');
+    if (config.configPath) {
+      logger.info(`Using config file ${config.configPath}`);
+    }
     
-    // First apply LLM optimization if requested (default behavior)
-    if (config.llmOptimized) {
-      finalManifest = optimizeForLLM(finalManifest);
+    // stdout carries the protocol, so the server reports nothing there
+    if (config.command === 'serve') {
+      await serveProject(config);
+      return;
     }
     
-    // Then apply string optimization if compression is requested
-    if (config.compress) {
-      finalManifest = optimizeManifest(finalManifest);
+    const extraction = await extractProject(config, { showProgress: true });
+    const { manifest } = extraction;
+    
+    // The analyze command reports on the dependency structure instead of writing a manifest
+    if (config.command === 'analyze') {
+      await runAnalysis(manifest, config);
+      return;
     }
     
-    // Write the manifest
-    const outputPath = await writeManifest(finalManifest, config.outputPath, config.compress);
-    logger.info(`Manifest written to ${outputPath}`);
+    const output = prepareOutput(manifest, config);
+    const { outputPath, chunkCount } = await writeOutput(output, config);
     
-    console.log(`✅ Manifest extraction complete. Output: ${outputPath}`);
+    if (GRAPH_FORMATS.includes(config.format)) {
+      console.log(`✅ Dependency graph (${config.format}) written to ${outputPath}`);
+    } else {
+      console.log(`✅ Manifest extraction complete. Output: ${outputPath}`);
+      printSummary(extraction, config, { omitted: output.omitted, chunkCount });
+    }
     
-    // Stats - always available for console output even when not included in the output file
-    const stats = manifest.stats;
-    console.log(`
+    if (config.watch) {
+      watchProject(config, extraction);
+    }
+  } catch (err) {
+    handleError(err);
+  }
+}
+
+/**
+ * Prints the extraction summary
+ * @param {object} extraction - Result of extractProject
+ * @param {object} config - Final configuration
+ * @param {object} written - { omitted, chunkCount } of the written output
+ */
+function printSummary(extraction, config, written) {
+  const { manifest, skipped, cacheDir } = extraction;
+  
+  // Stats - always available for console output even when not included in the output file
+  const stats = manifest.stats;
+  console.log(`
 Extraction summary:
 - Total files processed: ${stats.totalFiles}
 - Total symbols discovered: ${stats.totalSymbols}
@@ -80,13 +134,234 @@ Extraction summary:
 - Classes: ${stats.typeStats.classes}
 - Constants: ${stats.typeStats.constants}
 - Exports: ${stats.typeStats.exports}
+- Typedefs: ${stats.typeStats.typedefs}
+- Interfaces: ${stats.typeStats.interfaces}
+- Type aliases: ${stats.typeStats.typeAliases}
+- Enums: ${stats.typeStats.enums}
+- Namespaces: ${stats.typeStats.namespaces}
+- Re-exports: ${stats.typeStats.reexports}
+- CommonJS exports: ${stats.typeStats.cjsExports}
 - Dependencies: ${stats.totalDependencies}
+${cacheDir ? `- Cache: ${extraction.cachedCount} of ${extraction.fileCount} files unchanged (${cacheDir})` : '- Cache: DISABLED'}
+${manifest.since ? `- Changed since ${manifest.since.ref}: ${manifest.since.changedFiles} files, ${manifest.files.filter(file => file.context).length} unchanged files summarized by their imported symbols` : ''}
+${manifest.revision ? `- Revision: ${manifest.revision.ref} (${manifest.revision.commit.slice(0, 12)})` : ''}
+${manifest.diagnostics.length > 0 ? `- Parse diagnostics: ${stats.failedFiles} files failed, ${manifest.diagnostics.filter(diagnostic => diagnostic.severity === 'warning').length} syntax errors recovered (see "diagnostics")` : ''}
 ${config.llmOptimized ? '- LLM optimization: ENABLED (use --full-format to disable)' : '- Full format: ENABLED'}
+${config.exportsOnly ? '- Exports only: ENABLED' : ''}
 ${config.compress ? '- Compression: ENABLED' : ''}
-`);
-    
-  } catch (err) {
-    handleError(err);
+${config.maxTokens ? formatTokenBudget(config.maxTokens, written.omitted) : ''}
+${written.chunkCount > 0 ? `- Split: ${written.chunkCount} chunks of up to ~${config.chunkTokens || DEFAULT_CHUNK_TOKENS} tokens, grouped by ${config.splitBy || 'directory'}` : ''}
+${formatSkippedFiles(skipped, config.sourcePath)}`);
+}
+
+/**
+ * Describes how the manifest was fitted to the --max-tokens budget, for the extraction summary
+ * @param {number} maxTokens - Token budget
+ * @param {object|null} omitted - Omitted section of the written manifest, or null when it fit as is
+ * @returns {string} - Summary line
+ */
+function formatTokenBudget(maxTokens, omitted) {
+  if (!omitted) {
+    return `- Token budget: ${maxTokens}, nothing omitted`;
+  }
+  
+  const steps = omitted.steps.map(({ step, removed }) => `${removed} ${BUDGET_STEP_LABELS[step]}`).join(', ');
+  const fit = omitted.estimatedTokens <= maxTokens ? '' : ' ⚠️ still over budget';
+  return `- Token budget: ~${omitted.estimatedTokens} of ${maxTokens} tokens${fit}; omitted ${steps} (see "omitted")`;
+}
+
+/**
+ * Keeps the output up to date as source files change, until the process is stopped
+ * @param {object} config - Final configuration
+ * @param {object} initial - Result of the first extractProject run
+ */
+function watchProject(config, initial) {
+  let previous = initial;
+  
+  watchSourceTree(config.sourcePath, {
+    ignore: createWatchFilter(config),
+    onChange: async changedPaths => {
+      try {
+        const next = await extractProject(config, { previousResults: previous.results, changedPaths });
+        const { outputPath } = await writeOutput(prepareOutput(next.manifest, config), config);
+        console.log(formatWatchUpdate(previous.manifest, next.manifest, changedPaths, outputPath, config.sourcePath));
+        previous = next;
+      } catch (err) {
+        logger.error({ err }, 'watch-update-failed');
+        console.error(`❌ Update failed: ${err.message}`);
+      }
+    },
+  });
+  
+  console.log(`👀 Watching ${config.sourcePath} for changes (Ctrl+C to stop)`);
+}
+
+/**
+ * Serves the project over the Model Context Protocol on stdin and stdout, re-extracting as files change,
+ * until stdin closes
+ * @param {object} config - Final configuration
+ */
+async function serveProject(config) {
+  let extraction = await extractProject(config);
+  const packageInfo = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+  const server = createMcpServer({
+    serverInfo: { name: packageInfo.name, version: packageInfo.version },
+    tools: createManifestTools(() => ({ manifest: extraction.manifest, config })),
+  });
+  
+  // Tools keep answering from the previous index while an update runs
+  const watcher = watchSourceTree(config.sourcePath, {
+    ignore: createWatchFilter(config),
+    onChange: async changedPaths => {
+      try {
+        extraction = await extractProject(config, { previousResults: extraction.results, changedPaths });
+        logger.info(`Index updated: ${extraction.manifest.files.length} files, ${extraction.manifest.diagnostics.length} parse diagnostics`);
+      } catch (err) {
+        logger.error({ err }, 'serve-update-failed');
+        console.error(`❌ Index update failed: ${err.message}`);
+      }
+    },
+  });
+  
+  // Files that failed to parse are not served, so they are only counted among the diagnostics
+  const { files, diagnostics } = extraction.manifest;
+  const diagnosticsNote = diagnostics.length > 0 ? `; ${diagnostics.length} parse diagnostics` : '';
+  console.error(`Serving ${files.length} files from ${config.sourcePath} over MCP (stdio)${diagnosticsNote}`);
+  await serveStdio(server);
+  watcher.close();
+}
+
+/**
+ * Gets the watch filter for a project: only source files and the files that steer discovery and resolution matter
+ * @param {object} config - Final configuration
+ * @returns {Function} - Returns true for paths whose changes can be ignored
+ */
+function createWatchFilter(config) {
+  return filePath => filePath.split(path.sep).some(part => part === 'node_modules' || part === '.git')
+    || !(config.extensions.includes(path.extname(filePath)) || WATCHED_CONFIG_FILES.includes(path.basename(filePath)));
+}
+
+/**
+ * Describes one watch update: what changed and which symbols were added, removed or changed
+ * @param {object} previousManifest - Manifest before the update
+ * @param {object} nextManifest - Manifest after the update
+ * @param {string[]|null} changedPaths - Changed paths, or null when unknown
+ * @param {string} outputPath - Written output file
+ * @param {string} sourcePath - Source directory
+ * @returns {string} - Update summary
+ */
+function formatWatchUpdate(previousManifest, nextManifest, changedPaths, outputPath, sourcePath) {
+  const { added, removed, changed } = diffSymbols(previousManifest, nextManifest);
+  const time = new Date().toLocaleTimeString();
+  const what = changedPaths
+    ? changedPaths.map(filePath => path.relative(sourcePath, filePath)).join(', ')
+    : 'files changed';
+  
+  const lines = [
+    ...added.map(item => `  + ${item.type} ${item.name} (${item.file})`),
+    ...removed.map(item => `  - ${item.type} ${item.name} (${item.file})`),
+    ...changed.map(item => `  ~ ${item.type} ${item.name} (${item.file})`),
+  ];
+  const shown = lines.slice(0, MAX_LISTED_SYMBOL_CHANGES);
+  if (lines.length > shown.length) {
+    shown.push(`  ... and ${lines.length - shown.length} more`);
+  }
+  
+  const counts = `${added.length} added, ${removed.length} removed, ${changed.length} changed`;
+  return [`[${time}] ${what} → ${outputPath} (symbols: ${counts})`, ...shown].join('\n');
+}
+
+/**
+ * Lists the files discovery skipped, for the extraction summary
+ * @param {object[]} skipped - Skipped files from findSourceFiles
+ * @param {string} sourcePath - Source directory
+ * @returns {string} - Summary lines, or an empty string when nothing was skipped
+ */
+function formatSkippedFiles(skipped, sourcePath) {
+  if (skipped.length === 0) {
+    return '';
+  }
+  
+  // Ignored directories can hold thousands of files, so only the first ones are listed
+  const shown = skipped.slice(0, MAX_LISTED_SKIPPED_FILES)
+    .map(file => `    ${path.relative(sourcePath, file.path)}: ${file.reason}`);
+  if (skipped.length > shown.length) {
+    shown.push(`    ... and ${skipped.length - shown.length} more`);
+  }
+  
+  return `Skipped files: ${skipped.length}\n${shown.join('\n')}\n`;
+}
+
+/**
+ * Runs the analyze command and sets the exit code when a threshold is exceeded
+ * @param {object} manifest - Full manifest with resolved dependencies
+ * @param {object} config - CLI configuration
+ */
+async function runAnalysis(manifest, config) {
+  const report = analyzeManifest(manifest, config.thresholds);
+  const output = config.format === 'json'
+    ? `${JSON.stringify(report, null, 2)}\n`
+    : formatAnalysisReport(report);
+  
+  if (config.outputPath) {
+    const reportPath = await writeManifest(output, config.outputPath, config.compress);
+    console.log(`✅ Analysis report written to ${reportPath}`);
+  } else {
+    process.stdout.write(output);
+  }
+  
+  if (report.exceeded.length > 0) {
+    report.exceeded.forEach(({ check, count, max }) => {
+      console.error(`❌ ${check}: ${count} found, at most ${max} allowed`);
+    });
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Runs the diff command and sets the exit code when breaking changes are found and not allowed
+ * @param {object} config - CLI configuration
+ */
+async function runDiff(config) {
+  const [basePath, changedPath] = config.manifestPaths;
+  const diff = diffManifests(await readManifest(basePath), await readManifest(changedPath));
+  const output = config.format === 'json'
+    ? `${JSON.stringify(diff, null, 2)}\n`
+    : formatDiffMarkdown(diff);
+  
+  if (config.outputPath) {
+    const reportPath = await writeManifest(output, config.outputPath, config.compress);
+    console.log(`✅ Diff report written to ${reportPath}`);
+  } else {
+    process.stdout.write(output);
+  }
+  
+  if (config.failOnBreaking && diff.breaking.length > 0) {
+    console.error(`❌ ${diff.breaking.length} breaking changes to exported APIs`);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Runs the query command and sets the exit code when nothing matches
+ * @param {object} config - CLI configuration
+ */
+async function runManifestQuery(config) {
+  const query = parseQuery(config.query);
+  const result = runQuery(await readManifest(config.manifestPaths[0]), query);
+  const output = config.format === 'json'
+    ? `${JSON.stringify(result, null, 2)}\n`
+    : formatQueryResult(result);
+  
+  if (config.outputPath) {
+    const resultPath = await writeManifest(output, config.outputPath, config.compress);
+    console.log(`✅ ${result.matches.length} matches written to ${resultPath}`);
+  } else {
+    process.stdout.write(output);
+  }
+  
+  if (result.matches.length === 0) {
+    process.exitCode = 1;
   }
 }
 
@@ -125,6 +400,9 @@ const replayMode = process.argv.includes('--replay-errors');
 
 // Main execution
 (async () => {
+  installProcessHandlers();
+  await enableFileLogging();
+
   if (replayMode) {
     const lastErr = await readLastError();
     if (lastErr) {
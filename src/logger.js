@@ -3,23 +3,18 @@ import fs from 'fs/promises';
 import { mkdir } from 'fs/promises';
 import { dirname } from 'path';
 
-// Create logs directory if it doesn't exist
-try {
-  await mkdir('./logs', { recursive: true });
-} catch (err) {
-  // Directory already exists or can't be created
-  if (err.code !== 'EEXIST') {
-    console.error('Failed to create logs directory:', err);
-  }
-}
+const LOG_FILE = './logs/app.log';
 
-const logger = pino({
-  level: process.env.LOG_LEVEL || 'info',
-  transport: {
-    target: 'pino/file',
-    options: { destination: './logs/app.log' }
-  }
-});
+// Silent until the command line turns on file logging or an API caller supplies a logger, so
+// importing the library writes nothing
+let current = pino({ level: 'silent' });
+
+const logger = {
+  info: (...args) => current.info(...args),
+  warn: (...args) => current.warn(...args),
+  error: (...args) => current.error(...args),
+  fatal: (...args) => current.fatal(...args),
+};
 
 // --- call tracer ---------------------------------------------------
 export const trace = fn => function traced(...args) {
@@ -39,9 +34,44 @@ export const trace = fn => function traced(...args) {
   }
 };
 
+/**
+ * Sends log entries to a caller's logger
+ * @param {object} instance - Logger with info, warn, error and fatal methods, such as a pino logger
+ */
+export function setLogger(instance) {
+  current = instance;
+}
+
+/**
+ * Sends log entries to ./logs/app.log, creating the directory if needed
+ */
+export async function enableFileLogging() {
+  try {
+    await mkdir(dirname(LOG_FILE), { recursive: true });
+  } catch (err) {
+    // Directory already exists or can't be created
+    if (err.code !== 'EEXIST') {
+      console.error('Failed to create logs directory:', err);
+    }
+  }
+
+  current = pino({
+    level: process.env.LOG_LEVEL || 'info',
+    transport: {
+      target: 'pino/file',
+      options: { destination: LOG_FILE }
+    }
+  });
+}
+
 // --- global traps --------------------------------------------------
-process.on('uncaughtException', err => logger.fatal({ err }, 'uncaught'));
-process.on('unhandledRejection', err => logger.fatal({ err }, 'promise-rejection'));
+/**
+ * Logs uncaught exceptions and unhandled rejections; for the command line, which owns the process
+ */
+export function installProcessHandlers() {
+  process.on('uncaughtException', err => logger.fatal({ err }, 'uncaught'));
+  process.on('unhandledRejection', err => logger.fatal({ err }, 'promise-rejection'));
+}
 
 export default logger;
 
@@ -50,8 +80,8 @@ export default logger;
  */
 export async function readLastError() {
   try {
-    await fs.access('./logs/app.log');
-    const data = await fs.readFile('./logs/app.log', 'utf8');
+    await fs.access(LOG_FILE);
+    const data = await fs.readFile(LOG_FILE, 'utf8');
     const lines = data.trim().split('\n').reverse();
     const errLine = lines.find(l => l.includes('"level":50')); // pino level 50 = error
     return errLine ? JSON.parse(errLine) : null;
@@ -59,4 +89,4 @@ export async function readLastError() {
     logger.warn({ err }, 'could not read error log');
     return null;
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,266 @@
+import path from 'path';
+import { trace } from '../logger.js';
+import { buildDependencyGraph, findCycles } from './graph.js';
+
+/**
+ * Checks reported by analyzeManifest, with the CLI option that sets each threshold
+ */
+export const ANALYSIS_CHECKS = {
+  cycles: '--max-cycles',
+  orphans: '--max-orphans',
+  unusedExports: '--max-unused-exports',
+  brokenImports: '--max-broken-imports',
+};
+
+/**
+ * Analyzes the dependency structure of a resolved manifest
+ * @param {object} manifest - Full manifest with resolved dependencies and a `graph` section
+ * @param {object} [thresholds] - Maximum allowed count per check (see ANALYSIS_CHECKS); unset checks never fail
+ * @returns {object} - Report with cycles, orphans, unusedExports, brokenImports, summary and exceeded thresholds
+ */
+export const analyzeManifest = trace(function analyzeManifest(manifest, thresholds = {}) {
+  const graph = buildDependencyGraph(manifest, { includeExternals: false });
+  // Type-only imports are erased at compile time, so a cycle through them is no runtime cycle
+  const cycles = findCycles([...graph.nodes.keys()], graph.edges.filter(edge => !edge.typeOnly));
+
+  // Modules that no other module imports
+  const imported = new Set(graph.edges.filter(edge => edge.from !== edge.to).map(edge => edge.to));
+  const orphans = [...graph.nodes.keys()].filter(id => !imported.has(id));
+
+  const filesByPath = new Map(manifest.files.map(file => [toPosix(file.path), file]));
+  const exportTable = new Map();
+  filesByPath.forEach((file, filePath) => {
+    exportTable.set(filePath, collectExports(file, filePath, filesByPath, new Set()));
+  });
+
+  // Walk every import that points at a manifest file
+  const usedNames = new Map([...filesByPath.keys()].map(filePath => [filePath, new Set()]));
+  const fullyUsed = new Set();
+  const brokenImports = [];
+
+  filesByPath.forEach((file, filePath) => {
+    file.dependencies.forEach(dependency => {
+      if (!dependency.resolved || dependency.resolved.kind !== 'file') {
+        return;
+      }
+
+      const target = dependency.resolved.path;
+      const names = getImportedNames(dependency);
+      if (names === null) {
+        fullyUsed.add(target);
+        return;
+      }
+
+      const targetExports = exportTable.get(target);
+      names.forEach(name => {
+        usedNames.get(target).add(name);
+        if (targetExports && !targetExports.open && !targetExports.names.has(name)) {
+          brokenImports.push({
+            file: filePath,
+            source: dependency.source,
+            target,
+            name,
+          });
+        }
+      });
+    });
+  });
+
+  // Exports that no other module imports by name
+  const unusedExports = [];
+  exportTable.forEach((exports, filePath) => {
+    if (fullyUsed.has(filePath)) {
+      return;
+    }
+    exports.own.forEach(name => {
+      if (!usedNames.get(filePath).has(name)) {
+        unusedExports.push({ file: filePath, name });
+      }
+    });
+  });
+
+  const summary = {
+    cycles: cycles.length,
+    orphans: orphans.length,
+    unusedExports: unusedExports.length,
+    brokenImports: brokenImports.length,
+  };
+
+  const exceeded = Object.keys(ANALYSIS_CHECKS)
+    .filter(check => thresholds[check] !== undefined && summary[check] > thresholds[check])
+    .map(check => ({ check, count: summary[check], max: thresholds[check] }));
+
+  return {
+    summary,
+    thresholds,
+    exceeded,
+    cycles,
+    orphans,
+    unusedExports,
+    brokenImports,
+  };
+});
+
+/**
+ * Renders an analysis report as human-readable tables
+ * @param {object} report - Report from analyzeManifest
+ * @returns {string} - Text report
+ */
+export const formatAnalysisReport = trace(function formatAnalysisReport(report) {
+  const sections = [];
+
+  sections.push(formatTable(['Check', 'Count', 'Max', 'Status'], Object.keys(ANALYSIS_CHECKS).map(check => {
+    const max = report.thresholds[check];
+    return [
+      check,
+      String(report.summary[check]),
+      max === undefined ? '-' : String(max),
+      report.exceeded.some(item => item.check === check) ? 'FAIL' : 'ok',
+    ];
+  })));
+
+  if (report.cycles.length > 0) {
+    sections.push(`Import cycles (${report.cycles.length}):\n${formatTable(
+      ['#', 'Files'],
+      report.cycles.map((cycle, index) => [String(index + 1), cycle.join(', ')]),
+    )}`);
+  }
+
+  if (report.orphans.length > 0) {
+    sections.push(`Modules nothing imports (${report.orphans.length}):\n${formatTable(
+      ['File'],
+      report.orphans.map(orphan => [orphan]),
+    )}`);
+  }
+
+  if (report.unusedExports.length > 0) {
+    sections.push(`Exports no other file imports (${report.unusedExports.length}):\n${formatTable(
+      ['File', 'Export'],
+      report.unusedExports.map(item => [item.file, item.name]),
+    )}`);
+  }
+
+  if (report.brokenImports.length > 0) {
+    sections.push(`Imports of names the target does not export (${report.brokenImports.length}):\n${formatTable(
+      ['File', 'Name', 'Source', 'Target'],
+      report.brokenImports.map(item => [item.file, item.name, item.source, item.target]),
+    )}`);
+  }
+
+  return `${sections.join('\n\n')}\n`;
+});
+
+/**
+ * Lists the names a dependency takes from its target
+ * @param {object} dependency - Dependency entry
+ * @returns {string[]|null} - Imported names, or null when the whole module is used
+ */
+export const getImportedNames = trace(function getImportedNames(dependency) {
+  if (dependency.type === 'exportAll' || dependency.type === 'dynamicImport') {
+    return null;
+  }
+
+  const specifiers = dependency.specifiers || [];
+  if (specifiers.length === 0) {
+    // import './x' only runs the module; a bare require('./x') may use anything
+    return dependency.type === 'import' ? [] : null;
+  }
+
+  const names = [];
+  for (const specifier of specifiers) {
+    if (specifier.type === 'namespace') {
+      return null;
+    }
+    names.push(specifier.type === 'default' ? 'default' : specifier.imported);
+  }
+  return names;
+});
+
+/**
+ * Collects the names a file exports, following `export * from` into other manifest files
+ * @param {object} file - File manifest
+ * @param {string} filePath - POSIX manifest path of the file
+ * @param {Map} filesByPath - All files by path
+ * @param {Set} visiting - Files on the current `export *` chain, to stop at cycles
+ * @returns {object} - { own: names declared here, names: all exported names, open: whether unknown names may exist }
+ */
+function collectExports(file, filePath, filesByPath, visiting) {
+  visiting.add(filePath);
+  const own = new Set();
+  const names = new Set();
+  let open = false;
+
+  file.symbols.forEach(symbol => {
+    if (!symbol.exported || symbol.exported === 'none' || symbol.type === 'exportAll') {
+      return;
+    }
+    // module.exports = value can have any shape
+    if (symbol.type === 'cjsExport' && symbol.exported === 'default') {
+      open = true;
+    }
+    const name = symbol.exported === 'default' ? 'default' : symbol.name;
+    own.add(name);
+    names.add(name);
+  });
+
+  // Importing a CommonJS module's default gives module.exports
+  if (file.symbols.some(symbol => symbol.type === 'cjsExport')) {
+    names.add('default');
+  }
+
+  file.dependencies
+    .filter(dependency => dependency.type === 'exportAll')
+    .forEach(dependency => {
+      const target = dependency.resolved && dependency.resolved.kind === 'file' ? dependency.resolved.path : null;
+      if (!target || visiting.has(target) || !filesByPath.has(target)) {
+        // Names re-exported from packages (or through a cycle) cannot be listed
+        open = open || !target || !filesByPath.has(target);
+        return;
+      }
+      const nested = collectExports(filesByPath.get(target), target, filesByPath, visiting);
+      nested.names.forEach(name => {
+        // `export *` never forwards the default export
+        if (name !== 'default') names.add(name);
+      });
+      open = open || nested.open;
+    });
+
+  visiting.delete(filePath);
+  return { own, names, open };
+}
+
+/**
+ * Formats rows as an aligned text table
+ * @param {string[]} headers - Column headers
+ * @param {string[][]} rows - Table rows
+ * @returns {string} - Table text
+ */
+function formatTable(headers, rows) {
+  const widths = headers.map((header, column) => Math.max(
+    header.length,
+    ...rows.map(row => row[column].length),
+  ));
+  const formatRow = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  return [
+    formatRow(headers),
+    formatRow(widths.map(width => '-'.repeat(width))),
+    ...rows.map(formatRow),
+  ].join('\n');
+}
+
+/**
+ * Converts a path to forward slashes
+ * @param {string} filePath - Path
+ * @returns {string} - POSIX-style path
+ */
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+export default {
+  ANALYSIS_CHECKS,
+  analyzeManifest,
+  formatAnalysisReport,
+  getImportedNames,
+};
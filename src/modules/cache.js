@@ -0,0 +1,154 @@
+import fs from 'fs/promises';
+import { readFileSync } from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { trace } from '../logger.js';
+
+// Bumped when the entry layout changes; the package version covers changes to the extractor
+const CACHE_FORMAT = 6;
+
+const PACKAGE = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+const EXTRACTOR_VERSION = `${PACKAGE.version}/${CACHE_FORMAT}`;
+
+/**
+ * Gets the cache directory used unless --cache-dir is given: one per source folder under the user's
+ * cache directory, so extraction leaves the project tree untouched
+ * @param {string} sourcePath - Absolute source folder path
+ * @returns {string} - Absolute cache directory path
+ */
+export const getDefaultCacheDir = trace(function getDefaultCacheDir(sourcePath) {
+  // Pruning evicts entries of files outside the current run, so projects must not share a directory
+  const key = crypto.createHash('sha256').update(sourcePath).digest('hex').slice(0, 16);
+  return path.join(getUserCacheDir(), PACKAGE.name, key);
+});
+
+/**
+ * Hashes file content
+ * @param {string} content - File content
+ * @returns {string} - SHA-256 hex digest
+ */
+export const hashContent = trace(function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+});
+
+/**
+ * Looks up the cached parseFile metadata for a file
+ * @param {string} cacheDir - Cache directory
+ * @param {string} filePath - Absolute file path
+ * @param {string} contentHash - Hash of the current content
+ * @param {object} parserOptions - Options the file is parsed with
+ * @returns {Promise<object|null>} - Metadata, or null when there is no entry for this content, extractor version and options
+ */
+export const readCacheEntry = trace(async function readCacheEntry(cacheDir, filePath, contentHash, parserOptions) {
+  let entry;
+  try {
+    entry = JSON.parse(await fs.readFile(getEntryPath(cacheDir, filePath), 'utf8'));
+  } catch {
+    // Missing or unreadable entries are cache misses
+    return null;
+  }
+
+  const valid = entry.version === EXTRACTOR_VERSION
+    && entry.filePath === filePath
+    && entry.contentHash === contentHash
+    && entry.optionsHash === hashOptions(parserOptions);
+  return valid ? entry.metadata : null;
+});
+
+/**
+ * Stores parseFile metadata for a file, replacing any older entry
+ * @param {string} cacheDir - Cache directory
+ * @param {string} filePath - Absolute file path
+ * @param {string} contentHash - Hash of the parsed content
+ * @param {object} parserOptions - Options the file was parsed with
+ * @param {object} metadata - parseFile result
+ * @returns {Promise<void>}
+ */
+export const writeCacheEntry = trace(async function writeCacheEntry(cacheDir, filePath, contentHash, parserOptions, metadata) {
+  const entry = {
+    version: EXTRACTOR_VERSION,
+    filePath,
+    contentHash,
+    optionsHash: hashOptions(parserOptions),
+    metadata,
+  };
+
+  // Write to a temporary file first so that parallel runs never read half an entry
+  const entryPath = getEntryPath(cacheDir, filePath);
+  const tempPath = `${entryPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    await fs.mkdir(cacheDir, { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(entry), 'utf8');
+    await fs.rename(tempPath, entryPath);
+  } catch {
+    // The cache only saves time; failing to write it must not fail the run
+    await fs.rm(tempPath, { force: true });
+  }
+});
+
+/**
+ * Deletes the entries of files that are no longer part of the project
+ * @param {string} cacheDir - Cache directory
+ * @param {string[]} filePaths - Absolute paths of every file in this run
+ * @returns {Promise<number>} - Number of entries removed
+ */
+export const pruneCache = trace(async function pruneCache(cacheDir, filePaths) {
+  let names;
+  try {
+    names = await fs.readdir(cacheDir);
+  } catch {
+    return 0;
+  }
+
+  const current = new Set(filePaths.map(filePath => path.basename(getEntryPath(cacheDir, filePath))));
+  const stale = names.filter(name => name.endsWith('.json') && !current.has(name));
+  await Promise.all(stale.map(name => fs.rm(path.join(cacheDir, name), { force: true })));
+  return stale.length;
+});
+
+/**
+ * Gets the per-user cache directory of the platform
+ * @returns {string} - Absolute path
+ */
+function getUserCacheDir() {
+  if (process.env.XDG_CACHE_HOME) {
+    return process.env.XDG_CACHE_HOME;
+  }
+  if (process.platform === 'win32' && process.env.LOCALAPPDATA) {
+    return process.env.LOCALAPPDATA;
+  }
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Caches');
+  }
+  return path.join(os.homedir(), '.cache');
+}
+
+/**
+ * Gets the entry file for a source file
+ * @param {string} cacheDir - Cache directory
+ * @param {string} filePath - Absolute file path
+ * @returns {string} - Entry path
+ */
+function getEntryPath(cacheDir, filePath) {
+  const key = crypto.createHash('sha256').update(filePath).digest('hex').slice(0, 32);
+  return path.join(cacheDir, `${key}.json`);
+}
+
+/**
+ * Hashes parser options, so that changing them invalidates the entry
+ * @param {object} parserOptions - Options for parseFile
+ * @returns {string} - Hex digest
+ */
+function hashOptions(parserOptions) {
+  return crypto.createHash('sha256').update(JSON.stringify(parserOptions)).digest('hex').slice(0, 16);
+}
+
+export default {
+  getDefaultCacheDir,
+  hashContent,
+  readCacheEntry,
+  writeCacheEntry,
+  pruneCache,
+};
@@ -0,0 +1,172 @@
+import path from 'path';
+import { trace } from '../logger.js';
+
+// Symbols that calls can lead to; cjsExport covers `exports.foo = function () {}`
+const CALLABLE_TYPES = ['fn', 'const', 'class', 'cjsExport'];
+
+/**
+ * Builds the project-level call graph from the calls the parser records on functions, consts and class methods,
+ * following imports, re-exports and `export *` to the declaration they name
+ * @param {object} manifest - Manifest with resolved dependencies (see resolveDependencies)
+ * @returns {object} - { nodes: { id, kind }[], edges: { from, to, type: 'call' or 'new' }[] }; node ids are
+ *   "path#name", e.g. "utils/format.js#formatDate" or "models/person.js#Person.greet", or "package#name" for
+ *   packages, and kinds are symbol types, "method", or the resolution kind of a package
+ */
+export const buildCallGraph = trace(function buildCallGraph(manifest) {
+  const filesById = new Map(manifest.files.map(file => [toPosix(file.path), file]));
+  const nodes = new Map();
+  const edges = new Map();
+  const addNode = (id, kind) => {
+    if (!nodes.has(id)) {
+      nodes.set(id, { id, kind });
+    }
+  };
+
+  manifest.files.forEach(file => {
+    listCallers(file).forEach(caller => {
+      const from = `${toPosix(file.path)}#${caller.name}`;
+      caller.calls.forEach(call => {
+        const target = resolveCall(call, file, filesById);
+        if (!target) {
+          return;
+        }
+        const type = call.new ? 'new' : 'call';
+        const key = `${from}\u0000${target.id}\u0000${type}`;
+        if (!edges.has(key)) {
+          addNode(from, caller.kind);
+          addNode(target.id, target.kind);
+          edges.set(key, { from, to: target.id, type });
+        }
+      });
+    });
+  });
+
+  return {
+    nodes: [...nodes.values()],
+    edges: [...edges.values()],
+  };
+});
+
+/**
+ * Gets the manifest path of the file a call graph node belongs to
+ * @param {string} id - Node id
+ * @returns {string} - File path, or the package name of a package node
+ */
+export const getCallNodeFile = trace(function getCallNodeFile(id) {
+  return id.slice(0, id.lastIndexOf('#'));
+});
+
+/**
+ * Lists the symbols of a file that recorded calls
+ * @param {object} file - File manifest
+ * @returns {object[]} - { name: e.g. "main" or "Person.greet", kind, calls }
+ */
+function listCallers(file) {
+  return file.symbols.flatMap(symbol => [
+    ...(symbol.calls ? [{ name: symbol.name, kind: symbol.type, calls: symbol.calls }] : []),
+    ...(symbol.type === 'class' ? symbol.methods || [] : [])
+      .filter(method => method.calls)
+      .map(method => ({ name: `${symbol.name}.${method.name}`, kind: 'method', calls: method.calls })),
+  ]);
+}
+
+/**
+ * Finds the node a recorded call leads to
+ * @param {object} call - { name, source? } as recorded by the parser
+ * @param {object} file - File manifest of the caller
+ * @param {Map} filesById - File manifests by graph node id
+ * @returns {object|null} - { id, kind }, or null when the callee is not in the manifest
+ */
+function resolveCall(call, file, filesById) {
+  if (call.source === undefined) {
+    return findCallable(file, call.name);
+  }
+
+  const dependency = (file.dependencies || []).find(candidate => candidate.source === call.source && candidate.resolved);
+  if (!dependency) {
+    return null;
+  }
+  const { resolved } = dependency;
+  if (resolved.kind !== 'file') {
+    return { id: `${resolved.package || call.source}#${call.name}`, kind: resolved.kind };
+  }
+
+  const [exportName, ...members] = call.name.split('.');
+  const declaration = findExport(filesById.get(resolved.path), exportName, filesById, new Set());
+  return declaration && findCallable(declaration.file, [declaration.name, ...members].join('.'));
+}
+
+/**
+ * Finds the declaration a module exports under a name
+ * @param {object|undefined} file - File manifest
+ * @param {string} exportName - Exported name, or "default"
+ * @param {Map} filesById - File manifests by graph node id
+ * @param {Set} visited - Files already searched, as `export *` can form cycles
+ * @returns {object|null} - { file, name: name of the declaration in that file }
+ */
+function findExport(file, exportName, filesById, visited) {
+  if (!file || visited.has(file)) {
+    return null;
+  }
+  visited.add(file);
+
+  if (exportName === 'default') {
+    return file.defaultExport ? { file, name: file.defaultExport } : null;
+  }
+
+  const exported = file.symbols.filter(symbol => symbol.name === exportName && symbol.exported && symbol.exported !== 'none');
+  const declared = exported.find(symbol => CALLABLE_TYPES.includes(symbol.type) && !symbol.localName);
+  if (declared) {
+    return { file, name: exportName };
+  }
+  // export { local as name } and module.exports = { name: local }
+  const alias = exported.find(symbol => symbol.localName);
+  if (alias) {
+    return { file, name: alias.localName };
+  }
+
+  const getSourceFile = source => {
+    const dependency = (file.dependencies || []).find(candidate => candidate.source === source);
+    return dependency && dependency.resolved && dependency.resolved.kind === 'file' ? filesById.get(dependency.resolved.path) : undefined;
+  };
+  const reexport = exported.find(symbol => symbol.type === 'reexport');
+  if (reexport) {
+    return reexport.imported === '*' ? null : findExport(getSourceFile(reexport.source), reexport.imported, filesById, visited);
+  }
+  return file.symbols
+    .filter(symbol => symbol.type === 'exportAll')
+    .reduce((found, symbol) => found || findExport(getSourceFile(symbol.source), exportName, filesById, visited), null);
+}
+
+/**
+ * Finds a module-level function, const or class, or a class method, by name
+ * @param {object} file - File manifest
+ * @param {string} name - Name such as "formatDate" or "Person.greet"
+ * @returns {object|null} - { id, kind }, or null when the file declares no such thing
+ */
+function findCallable(file, name) {
+  const [symbolName, memberName, ...rest] = name.split('.');
+  const symbol = rest.length === 0 && file.symbols.find(candidate => candidate.name === symbolName && CALLABLE_TYPES.includes(candidate.type));
+  if (!symbol) {
+    return null;
+  }
+  const id = `${toPosix(file.path)}#${name}`;
+  if (memberName === undefined) {
+    return { id, kind: symbol.type };
+  }
+  return symbol.type === 'class' && (symbol.methods || []).some(method => method.name === memberName) ? { id, kind: 'method' } : null;
+}
+
+/**
+ * Converts a path to forward slashes, as used by graph node ids
+ * @param {string} filePath - Path
+ * @returns {string} - POSIX-style path
+ */
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+export default {
+  buildCallGraph,
+  getCallNodeFile,
+};
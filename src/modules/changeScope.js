@@ -0,0 +1,69 @@
+import path from 'path';
+import { trace } from '../logger.js';
+import { getImportedNames } from './analyzer.js';
+
+/**
+ * Collects what the files of a resolved manifest import from other project files
+ * @param {object} manifest - Manifest with resolved dependencies
+ * @returns {Map} - Absolute path of each imported file to the Set of names taken from it,
+ *   or null when the whole module is used
+ */
+export const collectImportedNames = trace(function collectImportedNames(manifest) {
+  const importedNames = new Map();
+
+  manifest.files.forEach(file => {
+    file.dependencies.forEach(dependency => {
+      if (!dependency.resolved || dependency.resolved.kind !== 'file') {
+        return;
+      }
+
+      const target = path.resolve(manifest.rootPath, dependency.resolved.path);
+      const names = getImportedNames(dependency);
+      if (names === null || importedNames.get(target) === null) {
+        importedNames.set(target, null);
+        return;
+      }
+      if (names.length === 0) {
+        return;
+      }
+
+      if (!importedNames.has(target)) {
+        importedNames.set(target, new Set());
+      }
+      names.forEach(name => importedNames.get(target).add(name));
+    });
+  });
+
+  return importedNames;
+});
+
+/**
+ * Reduces a file's symbols to the exports other files take from it
+ * @param {object[]} symbols - Symbols from parseFile
+ * @param {Set|null} names - Imported names ('default' for the default export), or null for every export
+ * @returns {object[]} - The matching exported symbols, with the local declarations behind exported aliases
+ */
+export const pickImportedSymbols = trace(function pickImportedSymbols(symbols, names) {
+  const exported = symbols.filter(symbol => symbol.exported && symbol.exported !== 'none');
+  if (names === null) {
+    return exported;
+  }
+
+  const picked = new Set(exported.filter(symbol => names.has(symbol.exported === 'default' ? 'default' : symbol.name)
+    // The default import of a CommonJS module is module.exports with every property on it
+    || (symbol.type === 'cjsExport' && names.has('default'))));
+
+  // `export { foo as bar }` is documented by the declaration of foo
+  const aliased = new Set([...picked].filter(symbol => symbol.localName).map(symbol => symbol.localName));
+  exported
+    .filter(symbol => aliased.has(symbol.name) && symbol.type !== 'export' && symbol.type !== 'cjsExport')
+    .forEach(symbol => picked.add(symbol));
+
+  // Keep source order
+  return symbols.filter(symbol => picked.has(symbol));
+});
+
+export default {
+  collectImportedNames,
+  pickImportedSymbols,
+};
@@ -1,9 +1,13 @@
 import path from 'path';
 import { trace } from '../logger.js';
 import { UserInputError } from '../errors.js';
+import { ANALYSIS_CHECKS } from './analyzer.js';
+import { OUTPUT_FORMATS } from './config.js';
+import { SPLIT_GROUPINGS } from './manifestSplitter.js';
 
 /**
  * Parses command line arguments and returns configuration
+ * Format and output path defaults are applied later by applyProjectConfig, so a config file can set them
  * @returns {object} - CLI configuration
  */
 export const parseCliArguments = trace(function parseCliArguments() {
@@ -13,13 +17,49 @@ export const parseCliArguments = trace(function parseCliArguments() {
     return { replayMode: true };
   }
   
+  // An optional subcommand comes first; extraction is the default
+  let command = 'extract';
+  if (['analyze', 'diff', 'query', 'serve'].includes(args[0])) {
+    command = args.shift();
+  }
+  
   const config = {
+    command,
     replayMode: false,
     sourcePath: null,
     outputPath: null,
     compress: false,
     llmOptimized: true, // LLM optimization is on by default
     fullFormat: false,  // Full format is off by default
+    maxTypeLength: undefined, // Parser default unless set
+    exportsOnly: false,
+    depth: undefined, // Only module-scope declarations unless set
+    includeLocals: false,
+    format: null, // First format of the command unless set
+    thresholds: {}, // analyze: maximum allowed count per check
+    collapseDepth: undefined, // Graph formats keep one node per file unless set
+    includeExternals: true,
+    include: undefined, // Every file with a source extension unless set
+    exclude: undefined,
+    gitignore: true,
+    includeMinified: false,
+    maxFileSize: undefined, // Size limit in KB; fileSystem default unless set
+    strict: false, // Files that fail to parse are reported in diagnostics unless set
+    concurrency: undefined, // One worker per core unless set
+    cache: true,
+    watch: false,
+    maxTokens: undefined, // No token budget unless set
+    split: false,
+    splitBy: undefined, // Chunks grouped by directory unless set
+    chunkTokens: undefined, // manifestSplitter default unless set
+    since: null, // Git ref; only files changed since it are extracted in full
+    rev: null, // Git commit to extract instead of the working tree
+    cacheDir: undefined, // per-project folder in the user cache directory unless set
+    configPath: null, // Discovered from the source path unless set
+    provided: [], // Options given on the command line, which win over the config file
+    manifestPaths: [], // diff: base and changed manifest
+    query: null, // query: expression to answer from the manifest
+    failOnBreaking: false,
   };
   
   // Parse arguments
@@ -33,21 +73,200 @@ export const parseCliArguments = trace(function parseCliArguments() {
         throw new UserInputError('Missing output file path after --out option');
       }
       config.outputPath = args[i];
+      config.provided.push('outputPath');
     } else if (arg === '--compress' || arg === '-c') {
       config.compress = true;
+      config.provided.push('compress');
     } else if (arg === '--full-format' || arg === '-f') {
       config.fullFormat = true;
       config.llmOptimized = false; // Turn off LLM optimization when full format is requested
+      config.provided.push('fullFormat');
+    } else if (arg === '--format') {
+      // Next argument should be one of the output formats of the command
+      i++;
+      if (i >= args.length || !OUTPUT_FORMATS[command].includes(args[i])) {
+        throw new UserInputError(`--format expects one of: ${OUTPUT_FORMATS[command].join(', ')}`);
+      }
+      config.format = args[i];
+      config.provided.push('format');
+    } else if (command === 'analyze' && Object.values(ANALYSIS_CHECKS).includes(arg)) {
+      // Next argument should be a non-negative integer
+      i++;
+      const value = Number(args[i]);
+      if (i >= args.length || !Number.isInteger(value) || value < 0) {
+        throw new UserInputError(`${arg} expects a non-negative integer`);
+      }
+      const check = Object.keys(ANALYSIS_CHECKS).find(key => ANALYSIS_CHECKS[key] === arg);
+      config.thresholds[check] = value;
+    } else if (arg === '--collapse-dirs') {
+      config.collapseDepth = Infinity;
+    } else if (arg === '--collapse-depth') {
+      // Next argument should be a positive integer
+      i++;
+      const value = Number(args[i]);
+      if (i >= args.length || !Number.isInteger(value) || value < 1) {
+        throw new UserInputError('--collapse-depth expects a positive integer');
+      }
+      config.collapseDepth = value;
+    } else if (arg === '--no-externals') {
+      config.includeExternals = false;
+    } else if (arg === '--depth') {
+      // Next argument should be a non-negative integer
+      i++;
+      const value = Number(args[i]);
+      if (i >= args.length || !Number.isInteger(value) || value < 0) {
+        throw new UserInputError('--depth expects a non-negative integer');
+      }
+      config.depth = value;
+      config.provided.push('depth');
+    } else if (arg === '--include-locals') {
+      config.includeLocals = true;
+      config.provided.push('includeLocals');
+    } else if (arg === '--exports-only') {
+      config.exportsOnly = true;
+      config.provided.push('exportsOnly');
+    } else if (arg === '--max-type-length') {
+      // Next argument should be a non-negative integer
+      i++;
+      const value = Number(args[i]);
+      if (i >= args.length || !Number.isInteger(value) || value < 0) {
+        throw new UserInputError('--max-type-length expects a non-negative integer (0 for unlimited)');
+      }
+      config.maxTypeLength = value;
+      config.provided.push('maxTypeLength');
+    } else if (arg === '--include' || arg === '--exclude') {
+      // Next argument should be a glob pattern; both options can be repeated
+      i++;
+      if (i >= args.length) {
+        throw new UserInputError(`Missing glob pattern after ${arg} option`);
+      }
+      const key = arg.slice(2);
+      if (!config.provided.includes(key)) {
+        config[key] = [];
+        config.provided.push(key);
+      }
+      config[key].push(args[i]);
+    } else if (arg === '--no-gitignore') {
+      config.gitignore = false;
+      config.provided.push('gitignore');
+    } else if (arg === '--include-minified') {
+      config.includeMinified = true;
+      config.provided.push('includeMinified');
+    } else if (arg === '--max-file-size') {
+      // Next argument should be a non-negative integer
+      i++;
+      const value = Number(args[i]);
+      if (i >= args.length || !Number.isInteger(value) || value < 0) {
+        throw new UserInputError('--max-file-size expects a size in KB (0 for unlimited)');
+      }
+      config.maxFileSize = value;
+      config.provided.push('maxFileSize');
+    } else if (arg === '--strict') {
+      config.strict = true;
+      config.provided.push('strict');
+    } else if (arg === '--concurrency') {
+      // Next argument should be a positive integer
+      i++;
+      const value = Number(args[i]);
+      if (i >= args.length || !Number.isInteger(value) || value < 1) {
+        throw new UserInputError('--concurrency expects a positive integer');
+      }
+      config.concurrency = value;
+      config.provided.push('concurrency');
+    } else if (arg === '--max-tokens') {
+      // Next argument should be a positive integer
+      i++;
+      const value = Number(args[i]);
+      if (i >= args.length || !Number.isInteger(value) || value < 1) {
+        throw new UserInputError('--max-tokens expects a positive integer');
+      }
+      config.maxTokens = value;
+      config.provided.push('maxTokens');
+    } else if (arg === '--split') {
+      config.split = true;
+      config.provided.push('split');
+    } else if (arg === '--split-by') {
+      // Next argument should be one of the groupings
+      i++;
+      if (i >= args.length || !SPLIT_GROUPINGS.includes(args[i])) {
+        throw new UserInputError(`--split-by expects one of: ${SPLIT_GROUPINGS.join(', ')}`);
+      }
+      config.splitBy = args[i];
+      config.provided.push('splitBy');
+    } else if (arg === '--chunk-tokens') {
+      // Next argument should be a positive integer
+      i++;
+      const value = Number(args[i]);
+      if (i >= args.length || !Number.isInteger(value) || value < 1) {
+        throw new UserInputError('--chunk-tokens expects a positive integer');
+      }
+      config.chunkTokens = value;
+      config.provided.push('chunkTokens');
+    } else if (arg === '--watch' || arg === '-w') {
+      config.watch = true;
+    } else if (arg === '--since' || arg === '--rev') {
+      // Next argument should be a git ref; refs never start with a dash
+      i++;
+      if (i >= args.length || args[i].startsWith('-')) {
+        throw new UserInputError(`${arg} expects a git branch, tag or commit`);
+      }
+      config[arg.slice(2)] = args[i];
+    } else if (arg === '--no-cache') {
+      config.cache = false;
+      config.provided.push('cache');
+    } else if (arg === '--cache-dir') {
+      // Next argument should be the cache directory
+      i++;
+      if (i >= args.length) {
+        throw new UserInputError('Missing directory after --cache-dir option');
+      }
+      config.cacheDir = path.resolve(args[i]);
+      config.provided.push('cacheDir');
+    } else if (arg === '--config') {
+      // Next argument should be the config file path
+      i++;
+      if (i >= args.length) {
+        throw new UserInputError('Missing config file path after --config option');
+      }
+      config.configPath = args[i];
+    } else if (command === 'diff' && arg === '--fail-on-breaking') {
+      config.failOnBreaking = true;
     } else if (arg === '--help' || arg === '-h') {
       config.help = true;
     } else if (arg.startsWith('-')) {
       throw new UserInputError(`Unknown option: ${arg}`);
+    } else if (command === 'diff') {
+      // diff takes two manifests instead of a source path
+      config.manifestPaths.push(arg);
+    } else if (command === 'query') {
+      // query takes a manifest and an expression instead of a source path
+      if (config.manifestPaths.length === 0) {
+        config.manifestPaths.push(arg);
+      } else if (config.query === null) {
+        config.query = arg;
+      } else {
+        throw new UserInputError(`Unexpected argument: ${arg}. Quote query expressions that contain spaces`);
+      }
     } else if (!config.sourcePath) {
       // First non-option argument is the source path
       config.sourcePath = arg;
     }
   }
   
+  if (command === 'diff') {
+    if (config.manifestPaths.length !== 2 && !config.help) {
+      throw new UserInputError('diff expects two manifests. Usage: node extract-manifest.js diff <base-manifest> <changed-manifest>');
+    }
+    return config;
+  }
+  
+  if (command === 'query') {
+    if (config.query === null && !config.help) {
+      throw new UserInputError('query expects a manifest and an expression. Usage: node extract-manifest.js query <manifest> <kind:pattern>');
+    }
+    return config;
+  }
+  
   // Source path is required unless help is requested
   if (!config.sourcePath && !config.help) {
     throw new UserInputError('Source path is required. Usage: node extract-manifest.js <source-folder> [--out <file>] [--compress]');
@@ -58,11 +277,6 @@ export const parseCliArguments = trace(function parseCliArguments() {
     config.sourcePath = path.resolve(config.sourcePath);
   }
   
-  // Set default output path if not provided
-  if (!config.outputPath) {
-    config.outputPath = 'project.manifest.json';
-  }
-  
   return config;
 });
 
@@ -75,19 +289,93 @@ JavaScript Project Manifest Extractor
 
 Usage:
   node extract-manifest.js <source-folder> [options]
+  node extract-manifest.js analyze <source-folder> [options]
+  node extract-manifest.js diff <base-manifest> <changed-manifest> [options]
+  node extract-manifest.js query <manifest> <kind:pattern> [options]
+  node extract-manifest.js serve <source-folder> [options]
 
 Options:
   --out, -o <file>    Specify output file path (default: project.manifest.json)
+  --config <file>     Use this config file instead of searching for .manifestrc or manifest.config.js
   --compress, -c      Compress output with gzip
+  --include <glob>    Only search files matching the pattern (repeatable)
+  --exclude <glob>    Skip files matching the pattern (repeatable)
+  --no-gitignore      Also process files matched by .gitignore files
+  --include-minified  Also process *.min.js files
+  --max-file-size <kb>
+                      Skip files larger than this (default: 1024, 0 for unlimited)
   --full-format, -f   Include all metadata (locations, stats, etc.) - more verbose
+  --watch, -w         Keep running and update the output whenever source files change
+  --since <ref>       Only extract files changed since the merge base with a git ref, plus the
+                      symbols they import from unchanged files
+  --rev <ref>         Extract a git commit's files without checking it out
+  --depth <n>         Nest functions and classes declared up to n levels inside other functions (default: 0)
+  --include-locals    Also nest local variables; unlimited depth unless --depth is given
+  --exports-only      Only include the exported (public) API of each module
+  --max-tokens <n>    Leave out detail until the manifest fits in about n LLM tokens
+  --split             Write the manifest as chunks plus an index file (the --out path)
+  --split-by <group>  Keep files together by directory (default) or scc (import cycles)
+  --chunk-tokens <n>  Estimated LLM tokens per chunk (default: 25000)
+  --strict            Stop at the first file that fails to parse
+  --no-cache          Parse every file instead of reusing results for unchanged files
+  --cache-dir <dir>   Cache directory (default: a folder per project in the user cache directory)
+  --concurrency <n>   Parse files in n worker threads (default: one per CPU core, minus one)
+  --max-type-length <n>
+                      Elide printed types longer than n characters (default: 200, 0 for unlimited)
+  --format <format>   Output format: json (default), text or markdown (declaration signatures),
+                      or dot, mermaid or graph-json (dependency graph)
+  --collapse-dirs     Graph formats: one node per directory instead of per file
+  --collapse-depth <n>
+                      Graph formats: one node per directory, keeping at most n directory levels
+  --no-externals      Graph formats: leave out builtin modules and external packages
   --help, -h          Show this help message
 
+Analyze options:
+  --format <format>   Report format: table (default) or json
+  --out, -o <file>    Write the report to a file instead of stdout
+  --max-cycles <n>    Fail (exit code 1) when there are more than n import cycles
+  --max-orphans <n>   Fail when more than n modules are not imported by any other module
+  --max-unused-exports <n>
+                      Fail when more than n exports are not imported by any other file
+  --max-broken-imports <n>
+                      Fail when more than n imports name something the target does not export
+
+Diff options:
+  --format <format>   Report format: markdown (default) or json
+  --out, -o <file>    Write the report to a file instead of stdout
+  --fail-on-breaking  Exit with code 1 when an exported API changed incompatibly
+
+Serve:
+  Answers Model Context Protocol requests on stdin/stdout with the tools list_files, get_file_symbols,
+  find_symbol, get_dependencies and get_source_snippet, re-extracting as files change. Takes the
+  file discovery and parser options above.
+
+Query expressions (patterns are names or globs; exit code 1 when nothing matches):
+  symbol:<name>       Symbols with a matching name, also Class.method and Namespace.member (the default)
+  methods:<class>     Methods of the matching classes
+  importers:<file>    Files that import the matching files, e.g. importers:utils/*.js
+  params:<type>       Functions and methods with a parameter of a matching type
+  callers-of:<fn>     Functions and methods that call the matching ones, directly or through others
+  callees-of:<fn>     Functions and methods the matching ones call, directly or through others
+
+Query options:
+  --format <format>   Output format: text (default, one declaration per line) or json
+  --out, -o <file>    Write the result to a file instead of stdout
+
 Notes:
+  - Settings are read from .manifestrc, .manifestrc.json, manifest.config.js or manifest.config.mjs,
+    searched upward from the source folder; options given on the command line win
   - By default, output is optimized for LLM consumption (removes locations, stats, etc.)
   - Use --full-format to get the complete manifest with all details
 
 Example:
   node extract-manifest.js ./src --out my-project.manifest.json --compress
+  node extract-manifest.js ./src --format mermaid --collapse-dirs --no-externals
+  node extract-manifest.js ./src --since main --out branch.manifest.json
+  node extract-manifest.js ./src --format markdown --exports-only --max-tokens 8000
+  node extract-manifest.js analyze ./src --max-cycles 0 --max-broken-imports 0
+  node extract-manifest.js diff main.manifest.json.gz branch.manifest.json.gz --fail-on-breaking
+  node extract-manifest.js query project.manifest.json 'methods:Person'
   `);
 });
 
@@ -0,0 +1,467 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import micromatch from 'micromatch';
+import { trace } from '../logger.js';
+import { UserInputError } from '../errors.js';
+import { GRAPH_FORMATS } from './graphWriter.js';
+import { SIGNATURE_FORMATS } from './signatureWriter.js';
+import { SPLIT_GROUPINGS } from './manifestSplitter.js';
+
+/**
+ * Output formats accepted by --format, per command
+ */
+export const OUTPUT_FORMATS = {
+  extract: ['json', ...SIGNATURE_FORMATS, ...GRAPH_FORMATS],
+  analyze: ['table', 'json'],
+  diff: ['markdown', 'json'],
+  query: ['text', 'json'],
+  serve: [], // Speaks the Model Context Protocol only
+};
+
+/**
+ * Default output file for each extract format
+ */
+export const DEFAULT_OUTPUT_PATHS = {
+  json: 'project.manifest.json',
+  text: 'project.manifest.txt',
+  markdown: 'project.manifest.md',
+  dot: 'project.graph.dot',
+  mermaid: 'project.graph.mmd',
+  'graph-json': 'project.graph.json',
+};
+
+/**
+ * Default source file extensions
+ */
+export const DEFAULT_EXTENSIONS = ['.js', '.ts', '.jsx', '.tsx'];
+
+/**
+ * Config file names, in the order they are looked for in each directory
+ */
+export const CONFIG_FILENAMES = ['.manifestrc', '.manifestrc.json', 'manifest.config.js', 'manifest.config.mjs'];
+
+// Options a config file may set, with the validator for each value
+const CONFIG_OPTIONS = {
+  include: validateStringList,
+  exclude: validateStringList,
+  extensions: validateExtensions,
+  output: validateString,
+  format: validateString,
+  plugins: validatePlugins,
+  overrides: validateOverrides,
+  compress: validateBoolean,
+  fullFormat: validateBoolean,
+  exportsOnly: validateBoolean,
+  maxTypeLength: validateNonNegativeInteger,
+  depth: validateNonNegativeInteger,
+  includeLocals: validateBoolean,
+  gitignore: validateBoolean,
+  includeMinified: validateBoolean,
+  maxFileSize: validateNonNegativeInteger,
+  strict: validateBoolean,
+  concurrency: validatePositiveInteger,
+  cache: validateBoolean,
+  cacheDir: validateString,
+  maxTokens: validatePositiveInteger,
+  split: validateBoolean,
+  splitBy: validateString,
+  chunkTokens: validatePositiveInteger,
+};
+
+// Options a per-directory override may set
+const OVERRIDE_OPTIONS = ['plugins', 'maxTypeLength', 'depth', 'includeLocals'];
+
+/**
+ * Finds and loads the project config file, searching upward from the source path
+ * @param {string} sourcePath - Source directory
+ * @param {string} [explicitPath] - Config file given on the command line, which skips discovery
+ * @returns {Promise<object|null>} - Validated config with its `configPath` and `configDir`, or null if none exists
+ */
+export const loadProjectConfig = trace(async function loadProjectConfig(sourcePath, explicitPath) {
+  const configPath = explicitPath ? path.resolve(explicitPath) : await findConfigFile(sourcePath);
+  if (!configPath) {
+    return null;
+  }
+
+  let raw;
+  if (/\.m?js$/.test(configPath)) {
+    try {
+      const module = await import(pathToFileURL(configPath).href);
+      raw = typeof module.default === 'function' ? await module.default() : module.default;
+    } catch (err) {
+      throw new UserInputError(`Could not load config file ${configPath}: ${err.message}`);
+    }
+  } else {
+    let text;
+    try {
+      text = await fs.readFile(configPath, 'utf8');
+    } catch (err) {
+      throw new UserInputError(`Could not read config file ${configPath}: ${err.message}`);
+    }
+    try {
+      raw = JSON.parse(text);
+    } catch (err) {
+      throw new UserInputError(`Config file ${configPath} is not valid JSON: ${err.message}`);
+    }
+  }
+
+  return {
+    ...validateConfig(raw, configPath),
+    configPath,
+    configDir: path.dirname(configPath),
+  };
+});
+
+/**
+ * Merges a project config into the CLI configuration; options given on the command line win
+ * @param {object} cliConfig - Configuration from parseCliArguments
+ * @param {object|null} projectConfig - Configuration from loadProjectConfig
+ * @returns {object} - Final configuration with defaults applied
+ */
+export const applyProjectConfig = trace(function applyProjectConfig(cliConfig, projectConfig) {
+  const config = { ...cliConfig };
+  const provided = new Set(cliConfig.provided || []);
+  const fromFile = projectConfig || {};
+  const useFileValue = key => fromFile[key] !== undefined && !provided.has(key);
+
+  ['include', 'exclude', 'extensions', 'plugins', 'maxTypeLength', 'depth', 'includeLocals', 'exportsOnly', 'compress',
+    'gitignore', 'includeMinified', 'maxFileSize', 'strict', 'concurrency', 'cache', 'maxTokens',
+    'split', 'splitBy', 'chunkTokens']
+    .forEach(key => {
+      if (useFileValue(key)) {
+        config[key] = fromFile[key];
+      }
+    });
+
+  // Like output, cacheDir and overrides, include and exclude patterns in a config file are relative to it
+  ['include', 'exclude'].forEach(key => {
+    if (useFileValue(key) && config.sourcePath) {
+      config[key] = rebasePatterns(fromFile[key], fromFile.configDir, config.sourcePath);
+    }
+  });
+
+  if (useFileValue('fullFormat')) {
+    config.fullFormat = fromFile.fullFormat;
+    config.llmOptimized = !fromFile.fullFormat;
+  }
+
+  // Output settings in the config file describe the extract command
+  if (config.command === 'extract') {
+    if (useFileValue('format')) {
+      config.format = fromFile.format;
+    }
+    if (fromFile.output !== undefined && !provided.has('outputPath')) {
+      config.outputPath = path.resolve(fromFile.configDir, fromFile.output);
+    }
+  }
+
+  if (useFileValue('cacheDir')) {
+    config.cacheDir = path.resolve(fromFile.configDir, fromFile.cacheDir);
+  }
+
+  if (!config.format) {
+    config.format = OUTPUT_FORMATS[config.command][0];
+  }
+
+  // Analyze prints to stdout unless an output file is given
+  if (!config.outputPath && config.command === 'extract') {
+    config.outputPath = DEFAULT_OUTPUT_PATHS[config.format];
+  }
+
+  config.extensions = config.extensions || DEFAULT_EXTENSIONS;
+  config.overrides = fromFile.overrides || [];
+  config.configPath = fromFile.configPath || null;
+
+  return config;
+});
+
+/**
+ * Validates options given in code rather than in a config file; they take the same values
+ * @param {object} options - Options keyed like a config file
+ * @param {string} label - Where the options come from (for error messages)
+ * @returns {object} - Validated options
+ */
+export const validateOptions = trace(function validateOptions(options, label) {
+  return validateConfig(options, label);
+});
+
+/**
+ * Gets the parser options for one file, applying per-directory overrides
+ * @param {object} config - Final configuration from applyProjectConfig
+ * @param {string} filePath - Absolute path of the file
+ * @returns {object} - Options for parseFile
+ */
+export const getFileParserOptions = trace(function getFileParserOptions(config, filePath) {
+  const options = {
+    maxTypeLength: config.maxTypeLength,
+    depth: config.depth,
+    includeLocals: config.includeLocals,
+    plugins: config.plugins || [],
+    strict: config.strict,
+  };
+
+  // Overrides are sorted shallowest first, so deeper directories win
+  config.overrides
+    .filter(override => isInside(filePath, override.directory))
+    .forEach(override => {
+      OVERRIDE_OPTIONS.forEach(key => {
+        if (override[key] !== undefined) {
+          options[key] = key === 'plugins' ? [...options.plugins, ...override.plugins] : override[key];
+        }
+      });
+    });
+
+  return options;
+});
+
+/**
+ * Looks for a config file in the source directory and its ancestors
+ * @param {string} sourcePath - Directory to start from
+ * @returns {Promise<string|null>} - Absolute path of the config file, or null
+ */
+async function findConfigFile(sourcePath) {
+  let dir = path.resolve(sourcePath);
+  for (;;) {
+    for (const filename of CONFIG_FILENAMES) {
+      const candidate = path.join(dir, filename);
+      try {
+        const stats = await fs.stat(candidate);
+        if (stats.isFile()) {
+          return candidate;
+        }
+      } catch {
+        // Not in this directory
+      }
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Validates a raw config object and normalizes it
+ * @param {object} raw - Parsed config file
+ * @param {string} configPath - Path of the config file (for error messages)
+ * @returns {object} - Validated config
+ */
+function validateConfig(raw, configPath) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new UserInputError(`Config file ${configPath} must contain an object`);
+  }
+
+  const config = {};
+  Object.entries(raw).forEach(([key, value]) => {
+    const validate = CONFIG_OPTIONS[key];
+    if (!validate) {
+      throw new UserInputError(`Unknown option "${key}" in ${configPath}. Valid options: ${Object.keys(CONFIG_OPTIONS).join(', ')}`);
+    }
+    config[key] = validate(value, `"${key}" in ${configPath}`, configPath);
+  });
+
+  if (config.format !== undefined && !OUTPUT_FORMATS.extract.includes(config.format)) {
+    throw new UserInputError(`Invalid "format" in ${configPath}: expected one of ${OUTPUT_FORMATS.extract.join(', ')}`);
+  }
+  if (config.splitBy !== undefined && !SPLIT_GROUPINGS.includes(config.splitBy)) {
+    throw new UserInputError(`Invalid "splitBy" in ${configPath}: expected one of ${SPLIT_GROUPINGS.join(', ')}`);
+  }
+
+  return config;
+}
+
+/**
+ * Validates a string option
+ * @param {*} value - Option value
+ * @param {string} label - Option description for error messages
+ * @returns {string} - The value
+ */
+function validateString(value, label) {
+  if (typeof value !== 'string' || value.length === 0) {
+    throw new UserInputError(`Invalid ${label}: expected a non-empty string`);
+  }
+  return value;
+}
+
+/**
+ * Validates a string or list of strings, such as glob patterns
+ * @param {*} value - Option value
+ * @param {string} label - Option description for error messages
+ * @returns {string[]} - The value as a list
+ */
+function validateStringList(value, label) {
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length === 0 || list.some(item => typeof item !== 'string' || item.length === 0)) {
+    throw new UserInputError(`Invalid ${label}: expected a string or a non-empty list of strings`);
+  }
+  return list;
+}
+
+/**
+ * Validates a list of file extensions, adding the leading dot where missing
+ * @param {*} value - Option value
+ * @param {string} label - Option description for error messages
+ * @returns {string[]} - Extensions such as ".js"
+ */
+function validateExtensions(value, label) {
+  return validateStringList(value, label).map(ext => (ext.startsWith('.') ? ext : `.${ext}`));
+}
+
+/**
+ * Validates a boolean option
+ * @param {*} value - Option value
+ * @param {string} label - Option description for error messages
+ * @returns {boolean} - The value
+ */
+function validateBoolean(value, label) {
+  if (typeof value !== 'boolean') {
+    throw new UserInputError(`Invalid ${label}: expected true or false`);
+  }
+  return value;
+}
+
+/**
+ * Validates a non-negative integer option
+ * @param {*} value - Option value
+ * @param {string} label - Option description for error messages
+ * @returns {number} - The value
+ */
+function validateNonNegativeInteger(value, label) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new UserInputError(`Invalid ${label}: expected a non-negative integer`);
+  }
+  return value;
+}
+
+/**
+ * Validates a positive integer option
+ * @param {*} value - Option value
+ * @param {string} label - Option description for error messages
+ * @returns {number} - The value
+ */
+function validatePositiveInteger(value, label) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new UserInputError(`Invalid ${label}: expected a positive integer`);
+  }
+  return value;
+}
+
+/**
+ * Validates Babel parser plugins: names, or [name, options] pairs
+ * @param {*} value - Option value
+ * @param {string} label - Option description for error messages
+ * @returns {Array} - The plugins
+ */
+function validatePlugins(value, label) {
+  const valid = Array.isArray(value) && value.every(plugin => typeof plugin === 'string'
+    || (Array.isArray(plugin) && plugin.length === 2 && typeof plugin[0] === 'string' && typeof plugin[1] === 'object'));
+  if (!valid) {
+    throw new UserInputError(`Invalid ${label}: expected a list of plugin names or [name, options] pairs`);
+  }
+  return value;
+}
+
+/**
+ * Validates per-directory overrides, keyed by directory relative to the config file
+ * @param {*} value - Option value
+ * @param {string} label - Option description for error messages
+ * @param {string} configPath - Path of the config file
+ * @returns {object[]} - Overrides with absolute `directory`, shallowest first
+ */
+function validateOverrides(value, label, configPath) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new UserInputError(`Invalid ${label}: expected an object keyed by directory`);
+  }
+
+  return Object.entries(value).map(([directory, override]) => {
+    const overrideLabel = `override for "${directory}" in ${configPath}`;
+    if (!override || typeof override !== 'object' || Array.isArray(override)) {
+      throw new UserInputError(`Invalid ${overrideLabel}: expected an object`);
+    }
+
+    const normalized = { directory: path.resolve(path.dirname(configPath), directory) };
+    Object.entries(override).forEach(([key, optionValue]) => {
+      if (!OVERRIDE_OPTIONS.includes(key)) {
+        throw new UserInputError(`Unknown option "${key}" in ${overrideLabel}. Valid options: ${OVERRIDE_OPTIONS.join(', ')}`);
+      }
+      normalized[key] = CONFIG_OPTIONS[key](optionValue, `"${key}" in ${overrideLabel}`, configPath);
+    });
+    return normalized;
+  }).sort((a, b) => a.directory.length - b.directory.length);
+}
+
+/**
+ * Rewrites glob patterns relative to the config file's directory so they match relative to the source folder
+ * @param {string[]} patterns - Patterns from the config file
+ * @param {string} configDir - Directory of the config file
+ * @param {string} sourcePath - Absolute source folder
+ * @returns {string[]} - Patterns relative to the source folder; patterns that match nothing inside it are dropped
+ */
+function rebasePatterns(patterns, configDir, sourcePath) {
+  const toPosix = filePath => filePath.split(path.sep).join('/');
+  const stripDot = pattern => pattern.replace(/^(\.\/)+/, '');
+
+  if (path.relative(configDir, sourcePath) === '') {
+    return patterns;
+  }
+  if (isInside(configDir, sourcePath)) {
+    const prefix = toPosix(path.relative(sourcePath, configDir));
+    return patterns.map(pattern => `${prefix}/${stripDot(pattern)}`);
+  }
+  if (!isInside(sourcePath, configDir)) {
+    // The source folder is outside the config file's directory, so none of its patterns can match
+    return [];
+  }
+
+  const prefix = toPosix(path.relative(configDir, sourcePath)).split('/');
+  const rebased = new Set();
+  patterns.forEach(pattern => {
+    stripPrefix(stripDot(pattern).split('/'), prefix).forEach(result => rebased.add(result));
+  });
+  return [...rebased];
+}
+
+/**
+ * Removes leading directory segments from a glob pattern
+ * @param {string[]} segments - Pattern segments
+ * @param {string[]} prefix - Directory segments the pattern must match first
+ * @returns {string[]} - Patterns for what follows the prefix (none if the pattern cannot match below it)
+ */
+function stripPrefix(segments, prefix) {
+  if (prefix.length === 0) {
+    return [segments.join('/')];
+  }
+  if (segments[0] === '**') {
+    // A globstar matches any number of directories, including none
+    return [...stripPrefix(segments, prefix.slice(1)), ...stripPrefix(segments.slice(1), prefix)];
+  }
+  // The last segment names files, which cannot be a directory on the way to the source folder
+  if (segments.length <= 1 || !micromatch.isMatch(prefix[0], segments[0])) {
+    return [];
+  }
+  return stripPrefix(segments.slice(1), prefix.slice(1));
+}
+
+/**
+ * Checks whether a file lies inside a directory
+ * @param {string} filePath - Absolute file path
+ * @param {string} directory - Absolute directory path
+ * @returns {boolean} - True if the file is inside the directory
+ */
+function isInside(filePath, directory) {
+  const relative = path.relative(directory, filePath);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+export default {
+  OUTPUT_FORMATS,
+  DEFAULT_OUTPUT_PATHS,
+  DEFAULT_EXTENSIONS,
+  CONFIG_FILENAMES,
+  loadProjectConfig,
+  applyProjectConfig,
+  validateOptions,
+  getFileParserOptions,
+};
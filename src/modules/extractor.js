@@ -0,0 +1,323 @@
+import path from 'path';
+import logger, { trace } from '../logger.js';
+import { UserInputError } from '../errors.js';
+import { findSourceFiles, writeManifest, removeFiles } from './fileSystem.js';
+import { parseFiles } from './workerPool.js';
+import { createProgress } from './progress.js';
+import { getDefaultCacheDir, pruneCache } from './cache.js';
+import {
+  buildManifest, extractPublicApi, optimizeForLLM,
+} from './manifestBuilder.js';
+import { encodeManifest } from './manifestCodec.js';
+import { resolveDependencies } from './resolver.js';
+import { buildCallGraph } from './callGraph.js';
+import { renderGraph, GRAPH_FORMATS } from './graphWriter.js';
+import { renderSignatureSheet, SIGNATURE_FORMATS } from './signatureWriter.js';
+import { getChangedFiles, resolveRevision } from './git.js';
+import { collectImportedNames, pickImportedSymbols } from './changeScope.js';
+import { fitToTokenBudget } from './tokenBudget.js';
+import { splitManifest } from './manifestSplitter.js';
+import { DEFAULT_OUTPUT_PATHS } from './config.js';
+
+/**
+ * Rejects extraction options that cannot be combined
+ * @param {object} config - Final configuration
+ */
+export const checkExtractConfig = trace(function checkExtractConfig(config) {
+  if (config.split && GRAPH_FORMATS.includes(config.format)) {
+    throw new UserInputError('--split writes manifest chunks and cannot be used with graph formats');
+  }
+  if (config.split && SIGNATURE_FORMATS.includes(config.format)) {
+    throw new UserInputError('--split writes JSON manifest chunks and cannot be used with --format text or markdown');
+  }
+  if (config.since && (config.rev || config.command !== 'extract')) {
+    throw new UserInputError('--since extracts part of the working tree and cannot be used with --rev or analyze');
+  }
+});
+
+/**
+ * Finds, parses and resolves the project's source files
+ * @param {object} config - Final configuration
+ * @param {object} [options] - Extraction options
+ * @param {Map} [options.previousResults] - Parse results of an earlier run by file path, reused for unchanged files
+ * @param {string[]|null} [options.changedPaths] - Files changed since that run; null reparses every file
+ * @param {boolean} [options.showProgress] - Report parsing progress on stderr
+ * @param {Function} [options.onResult] - Called with each parse result as it arrives, in completion order
+ * @returns {Promise<object>} - { manifest, results: Map of parse results, skipped, fileCount, cachedCount, cacheDir }
+ */
+export const extractProject = trace(async function extractProject(config, options = {}) {
+  const {
+    previousResults = new Map(), changedPaths = null, showProgress = false, onResult = () => {},
+  } = options;
+
+  // With --rev, files are listed and read from the commit instead of the working tree
+  const rev = config.rev ? await resolveRevision(config.sourcePath, config.rev) : null;
+
+  // Find all source files
+  const { files: projectPaths, skipped } = await findSourceFiles(config.sourcePath, {
+    include: config.include,
+    exclude: config.exclude,
+    extensions: config.extensions,
+    gitignore: config.gitignore,
+    skipMinified: !config.includeMinified,
+    maxFileSize: config.maxFileSize === undefined ? undefined : config.maxFileSize * 1024,
+    rev,
+  });
+
+  // With --since, only the files the branch touches are extracted in full
+  const branchChanges = config.since ? await getChangedFiles(config.sourcePath, config.since) : null;
+  const branchFiles = branchChanges ? new Set(branchChanges.files) : null;
+  const filePaths = branchFiles ? projectPaths.filter(filePath => branchFiles.has(filePath)) : projectPaths;
+  if (branchFiles && filePaths.length === 0) {
+    throw new UserInputError(`No source files changed since ${config.since}`);
+  }
+  logger.info(`Found ${filePaths.length} source files to process, skipped ${skipped.length}`);
+
+  // Only new and changed files need parsing when an earlier run is available
+  const changed = changedPaths ? new Set(changedPaths) : null;
+  const toParse = filePaths.filter(filePath => !changed || changed.has(filePath) || !previousResults.has(filePath));
+
+  // Parse every file; unless strict, a file that cannot be parsed is reported and skipped
+  const sourcePath = path.resolve(config.sourcePath);
+  const cacheDir = config.cache ? path.resolve(sourcePath, config.cacheDir || getDefaultCacheDir(sourcePath)) : null;
+  const progress = showProgress ? createProgress('Parsing files', toParse.length) : null;
+  const parsed = await parseFiles(toParse, config, {
+    concurrency: config.concurrency,
+    stopOnError: config.strict,
+    cacheDir,
+    rev,
+    onResult: result => {
+      if (progress) {
+        progress.tick();
+      }
+      onResult(result);
+    },
+  });
+  if (progress) {
+    progress.done();
+  }
+
+  // Entries of deleted and newly ignored files would otherwise stay forever; partial runs and
+  // other commits do not see every file of the working tree
+  if (cacheDir && !changed && !branchFiles && !rev) {
+    const evicted = await pruneCache(cacheDir, filePaths);
+    logger.info(`Cache: ${parsed.filter(result => result.cached).length} files reused, ${evicted} stale entries evicted`);
+  }
+
+  // Results stay in file order, whichever worker finished first
+  const parsedByPath = new Map(parsed.map(result => [result.filePath, result]));
+  const results = new Map(filePaths.map(filePath => [filePath, parsedByPath.get(filePath) || previousResults.get(filePath)]));
+
+  let processedFiles = [...results.values()].filter(result => !result.error);
+  const failedFiles = [...results.values()].filter(result => result.error).map(({ filePath, error }) => {
+    logger.warn({ err: error }, `Skipping ${filePath}`);
+    return { filePath, diagnostic: error.diagnostic };
+  });
+
+  // Unchanged files appear only with the symbols the changed files import from them
+  if (branchFiles) {
+    const contextFiles = await extractImportedContext(processedFiles, projectPaths, config, cacheDir);
+    processedFiles = [...processedFiles, ...contextFiles].sort((a, b) => a.filePath.localeCompare(b.filePath));
+  }
+
+  // Build the manifest and resolve import specifiers to files and packages; with --since, imports
+  // of files left out still resolve to them
+  const manifest = await resolveDependencies(
+    buildManifest(processedFiles, config.sourcePath, failedFiles),
+    { knownFiles: projectPaths },
+  );
+  manifest.calls = buildCallGraph(manifest);
+  if (rev) {
+    manifest.revision = { ref: config.rev, commit: rev };
+  }
+  if (branchChanges) {
+    manifest.since = { ref: config.since, base: branchChanges.base, changedFiles: filePaths.length };
+  }
+
+  return {
+    manifest,
+    results,
+    skipped,
+    fileCount: filePaths.length,
+    cachedCount: parsed.filter(result => result.cached).length,
+    cacheDir,
+  };
+});
+
+/**
+ * Applies the output options to an extracted manifest: the public API, LLM optimization, the token
+ * budget, and rendering for text and graph formats or splitting into chunks
+ * @param {object} manifest - Full manifest with resolved dependencies
+ * @param {object} config - Final configuration
+ * @returns {object} - { manifest: manifest as output, text: rendered output for text and graph formats,
+ *   omitted: what --max-tokens left out or null, index and chunks with --split }
+ */
+export const prepareOutput = trace(function prepareOutput(manifest, config) {
+  // Graph formats render the dependency graph instead of the manifest
+  if (GRAPH_FORMATS.includes(config.format)) {
+    const text = renderGraph(manifest, {
+      format: config.format,
+      collapseDepth: config.collapseDepth,
+      includeExternals: config.includeExternals,
+    });
+    return { manifest, text, omitted: null };
+  }
+
+  // Apply optimizations
+  let finalManifest = manifest;
+
+  // Reduce to the public API first so the other steps only see exported symbols
+  if (config.exportsOnly) {
+    finalManifest = extractPublicApi(finalManifest);
+  }
+
+  // First apply LLM optimization if requested (default behavior)
+  if (config.llmOptimized) {
+    finalManifest = optimizeForLLM(finalManifest);
+  }
+
+  // Signature sheets are rendered from the same manifest, so every option above applies to them too
+  const renderSheet = SIGNATURE_FORMATS.includes(config.format)
+    ? sheetManifest => renderSignatureSheet(sheetManifest, { format: config.format })
+    : null;
+
+  // Shed detail until the output fits the token budget; the compact encoding only makes it smaller
+  if (config.maxTokens) {
+    finalManifest = fitToTokenBudget(finalManifest, config.maxTokens, renderSheet ? { render: renderSheet } : {});
+  }
+  const omitted = finalManifest.omitted || null;
+
+  if (renderSheet) {
+    return { manifest: finalManifest, text: renderSheet(finalManifest), omitted };
+  }
+
+  if (config.split) {
+    const outputPath = config.outputPath || DEFAULT_OUTPUT_PATHS.json;
+    const { index, chunks } = splitManifest(finalManifest, {
+      maxTokens: config.chunkTokens,
+      by: config.splitBy,
+      getChunkName: number => `${path.basename(getChunkPath(outputPath, number))}${config.compress ? '.gz' : ''}`,
+    });
+    return {
+      manifest: finalManifest, omitted, index, chunks,
+    };
+  }
+
+  return { manifest: finalManifest, omitted };
+});
+
+/**
+ * Writes prepared output to the output path: the rendered text, the --split index with its chunks
+ * next to it, or the manifest
+ * @param {object} output - Result of prepareOutput
+ * @param {object} config - Final configuration
+ * @returns {Promise<object>} - { outputPath, chunkCount: number of --split chunks, or 0 }
+ */
+export const writeOutput = trace(async function writeOutput(output, config) {
+  if (output.text !== undefined) {
+    const textPath = await writeManifest(output.text, config.outputPath, config.compress);
+    logger.info(`${config.format} output written to ${textPath}`);
+    return { outputPath: textPath, chunkCount: 0 };
+  }
+
+  if (output.chunks) {
+    // project.manifest.json becomes project.manifest.part-001.json, ...
+    for (const chunk of output.chunks) {
+      const chunkPath = getChunkPath(config.outputPath, chunk.chunk.number);
+      await writeManifest(config.compress ? JSON.stringify(encodeManifest(chunk)) : chunk, chunkPath, config.compress);
+    }
+    const indexPath = await writeManifest(output.index, config.outputPath, config.compress);
+    await removeStaleChunks(config.outputPath, output.chunks.length, config.compress);
+    logger.info(`Manifest index and ${output.chunks.length} chunks written to ${indexPath}`);
+    return { outputPath: indexPath, chunkCount: output.chunks.length };
+  }
+
+  // Compressed manifests use the compact encoding, which has no use for indentation
+  const finalManifest = config.compress ? JSON.stringify(encodeManifest(output.manifest)) : output.manifest;
+  const outputPath = await writeManifest(finalManifest, config.outputPath, config.compress);
+  logger.info(`Manifest written to ${outputPath}`);
+  return { outputPath, chunkCount: 0 };
+});
+
+/**
+ * Parses the unchanged files that changed files import and reduces them to the imported symbols
+ * @param {object[]} changedFiles - Parse results of the changed files
+ * @param {string[]} projectPaths - Every source file of the project
+ * @param {object} config - Final configuration
+ * @param {string|null} cacheDir - Cache directory
+ * @returns {Promise<object[]>} - Parse results marked as context, without dependencies
+ */
+async function extractImportedContext(changedFiles, projectPaths, config, cacheDir) {
+  if (changedFiles.length === 0) {
+    return [];
+  }
+
+  const changedPaths = new Set(changedFiles.map(result => result.filePath));
+  const draft = await resolveDependencies(
+    buildManifest(changedFiles, config.sourcePath),
+    { knownFiles: projectPaths },
+  );
+  const importedNames = collectImportedNames(draft);
+
+  const contextPaths = projectPaths.filter(filePath => importedNames.has(filePath) && !changedPaths.has(filePath));
+  const parsed = await parseFiles(contextPaths, config, { concurrency: config.concurrency, cacheDir });
+
+  return parsed
+    .filter(result => {
+      if (result.error) {
+        logger.warn({ err: result.error }, `Leaving out imported file ${result.filePath}`);
+      }
+      return !result.error;
+    })
+    .map(result => ({
+      ...result,
+      context: true,
+      metadata: {
+        ...result.metadata,
+        symbols: pickImportedSymbols(result.metadata.symbols || [], importedNames.get(result.filePath)),
+        dependencies: [],
+      },
+    }));
+}
+
+/**
+ * Deletes part files an earlier --split run left next to the output path, numbered past the last chunk
+ * or written with the other compression setting
+ * @param {string} outputPath - Output path of the index
+ * @param {number} chunkCount - Number of chunks just written
+ * @param {boolean} compress - Whether the chunks just written are compressed
+ * @returns {Promise<string[]>} - Names of the deleted files
+ */
+async function removeStaleChunks(outputPath, chunkCount, compress) {
+  const written = new Set(Array.from(
+    { length: chunkCount },
+    (_, i) => `${path.basename(getChunkPath(outputPath, i + 1))}${compress ? '.gz' : ''}`,
+  ));
+  const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const [prefix, extension] = path.basename(getChunkPath(outputPath, 0)).split('.part-000');
+  const partName = new RegExp(`^${escape(prefix)}\\.part-\\d{3,}${escape(extension)}(\\.gz)?$`);
+  const removed = await removeFiles(path.dirname(outputPath), name => partName.test(name) && !written.has(name));
+  if (removed.length > 0) {
+    logger.info(`Removed ${removed.length} part files left from an earlier --split run`);
+  }
+  return removed;
+}
+
+/**
+ * Gets the path of a --split chunk, next to the output path
+ * @param {string} outputPath - Output path of the index
+ * @param {number} number - Chunk number, from 1
+ * @returns {string} - Chunk path, e.g. project.manifest.part-001.json
+ */
+function getChunkPath(outputPath, number) {
+  const extension = path.extname(outputPath) || '.json';
+  const base = outputPath.slice(0, outputPath.length - path.extname(outputPath).length);
+  return `${base}.part-${String(number).padStart(3, '0')}${extension}`;
+}
+
+export default {
+  checkExtractConfig,
+  extractProject,
+  prepareOutput,
+  writeOutput,
+};
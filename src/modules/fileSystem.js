@@ -1,17 +1,51 @@
 import fs from 'fs/promises';
 import path from 'path';
 import glob from 'fast-glob';
+import ignore from 'ignore';
+import micromatch from 'micromatch';
 import { createWriteStream } from 'fs';
-import { createGzip } from 'zlib';
+import { createGzip, gunzipSync } from 'zlib';
 import { trace } from '../logger.js';
-import { FileSystemError } from '../errors.js';
+import { FileSystemError, UserInputError } from '../errors.js';
+import { listFilesAtRevision, readFileAtRevision } from './git.js';
+import { COMPACT_FORMAT, decodeManifest } from './manifestCodec.js';
+import { joinChunks } from './manifestSplitter.js';
+
+/**
+ * Files larger than this are skipped unless another limit is given
+ */
+export const DEFAULT_MAX_FILE_SIZE = 1024 * 1024;
+
+// Directories that are never searched
+const ALWAYS_IGNORED = ['**/node_modules/**', '**/dist/**', '**/build/**', '**/.git/**'];
+
+// Minified bundles carry no useful declarations
+const MINIFIED_FILE = /\.min\.[cm]?[jt]s$/;
 
 /**
  * Finds all JavaScript and TypeScript files in the given directory
  * @param {string} sourcePath - Root directory to search
- * @returns {Promise<string[]>} - Array of file paths
+ * @param {object} [options] - Search options
+ * @param {string[]} [options.include] - Glob patterns to search instead of every file with a source extension
+ * @param {string[]} [options.exclude] - Extra glob patterns to ignore
+ * @param {string[]} [options.extensions] - Source file extensions (default .js, .ts, .jsx, .tsx)
+ * @param {boolean} [options.gitignore] - Skip files matched by .gitignore files (default true)
+ * @param {boolean} [options.skipMinified] - Skip *.min.js files (default true)
+ * @param {number} [options.maxFileSize] - Skip files larger than this many bytes (default 1 MB, 0 for unlimited)
+ * @param {string} [options.rev] - List the files of this git commit instead of the working tree
+ * @returns {Promise<object>} - { files: file paths, skipped: { path, reason }[] }
  */
-export const findSourceFiles = trace(async function findSourceFiles(sourcePath) {
+export const findSourceFiles = trace(async function findSourceFiles(sourcePath, options = {}) {
+  const {
+    include,
+    exclude = [],
+    extensions = ['.js', '.ts', '.jsx', '.tsx'],
+    gitignore = true,
+    skipMinified = true,
+    maxFileSize = DEFAULT_MAX_FILE_SIZE,
+    rev,
+  } = options;
+  
   try {
     // Resolve the absolute path
     const absolutePath = path.resolve(sourcePath);
@@ -19,15 +53,52 @@ export const findSourceFiles = trace(async function findSourceFiles(sourcePath)
     // Check if the path exists
     await fs.access(absolutePath);
     
-    // Find all JS and TS files (excluding node_modules)
-    const files = await glob(['**/*.js', '**/*.ts', '**/*.jsx', '**/*.tsx'], {
-      cwd: absolutePath,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**', '**/.git/**'],
-      absolute: true,
-    });
+    // Find all source files (excluding node_modules)
+    const patterns = include || extensions.map(ext => `**/*${ext}`);
+    const ignored = [...ALWAYS_IGNORED, ...exclude];
+    const entries = rev
+      ? await globRevision(absolutePath, rev, patterns, ignored)
+      : await glob(patterns, {
+        cwd: absolutePath,
+        ignore: ignored,
+        absolute: true,
+        stats: true,
+      });
+    
+    // Files in a commit are tracked, which .gitignore does not apply to
+    const isGitIgnored = gitignore && !rev ? await loadGitIgnore(absolutePath) : () => false;
+    const files = [];
+    const skipped = [];
     
-    return files;
+    entries
+      .sort((a, b) => a.path.localeCompare(b.path))
+      .forEach(entry => {
+        // Include patterns may match more than source files
+        if (include && !extensions.includes(path.extname(entry.path))) {
+          return;
+        }
+        
+        let reason = null;
+        if (isGitIgnored(entry.path)) {
+          reason = 'gitignore';
+        } else if (skipMinified && MINIFIED_FILE.test(entry.path)) {
+          reason = 'minified';
+        } else if (maxFileSize > 0 && entry.stats.size > maxFileSize) {
+          reason = `larger than ${formatSize(maxFileSize)} (${formatSize(entry.stats.size)})`;
+        }
+        
+        if (reason) {
+          skipped.push({ path: entry.path, reason });
+        } else {
+          files.push(entry.path);
+        }
+      });
+    
+    return { files, skipped };
   } catch (err) {
+    if (err instanceof UserInputError) {
+      throw err;
+    }
     if (err.code === 'ENOENT') {
       throw new FileSystemError(`Directory not found: ${sourcePath}`, sourcePath);
     }
@@ -35,14 +106,110 @@ export const findSourceFiles = trace(async function findSourceFiles(sourcePath)
   }
 });
 
+/**
+ * Matches the files of a git commit against glob patterns, the way fast-glob matches the working tree
+ * @param {string} rootPath - Absolute directory being searched
+ * @param {string} rev - Commit to list
+ * @param {string[]} patterns - Patterns to match, relative to rootPath
+ * @param {string[]} ignored - Patterns to leave out
+ * @returns {Promise<object[]>} - Entries shaped like fast-glob's, as { path, stats: { size } }
+ */
+async function globRevision(rootPath, rev, patterns, ignored) {
+  const files = await listFilesAtRevision(rootPath, rev);
+  return files
+    .filter(file => {
+      const relative = path.relative(rootPath, file.path).split(path.sep).join('/');
+      return micromatch.isMatch(relative, patterns) && !micromatch.isMatch(relative, ignored);
+    })
+    .map(file => ({ path: file.path, stats: { size: file.size } }));
+}
+
+/**
+ * Loads the .gitignore files that apply to a directory: those inside it, and those in its
+ * parents up to the repository root
+ * @param {string} rootPath - Absolute directory being searched
+ * @returns {Promise<Function>} - Takes an absolute file path and tells whether git ignores it
+ */
+async function loadGitIgnore(rootPath) {
+  const ignoreFiles = await glob('**/.gitignore', {
+    cwd: rootPath,
+    ignore: ALWAYS_IGNORED,
+    absolute: true,
+    dot: true,
+  });
+  
+  // Parent directories count up to the first one that holds the repository
+  let directory = rootPath;
+  while (!(await pathExists(path.join(directory, '.git')))) {
+    const parent = path.dirname(directory);
+    if (parent === directory) {
+      break;
+    }
+    directory = parent;
+    ignoreFiles.push(path.join(directory, '.gitignore'));
+  }
+  
+  // Parent directories need not have a .gitignore
+  const matchers = [];
+  for (const ignoreFile of ignoreFiles) {
+    const content = await fs.readFile(ignoreFile, 'utf8').catch(() => null);
+    if (content !== null) {
+      matchers.push({ dir: path.dirname(ignoreFile), matcher: ignore().add(content) });
+    }
+  }
+  
+  // Shallower files first, so a deeper .gitignore can re-include what a parent ignores
+  matchers.sort((a, b) => a.dir.length - b.dir.length);
+  
+  return filePath => matchers.reduce((ignored, { dir, matcher }) => {
+    const relative = path.relative(dir, filePath);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      return ignored;
+    }
+    const result = matcher.test(relative.split(path.sep).join('/'));
+    if (result.ignored) {
+      return true;
+    }
+    return result.unignored ? false : ignored;
+  }, false);
+}
+
+/**
+ * Checks whether a path exists
+ * @param {string} filePath - Path to check
+ * @returns {Promise<boolean>} - True if it exists
+ */
+async function pathExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Formats a byte count for messages
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Size such as "1.5 MB"
+ */
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${Number((bytes / (1024 * 1024)).toFixed(1))} MB`;
+  }
+  return `${Number((bytes / 1024).toFixed(1))} KB`;
+}
+
 /**
  * Reads a file and returns its contents
  * @param {string} filePath - Path to the file
+ * @param {object} [options] - Read options
+ * @param {string} [options.rev] - Read the file as it is in this git commit instead of the working tree
  * @returns {Promise<string>} - File contents
  */
-export const readFile = trace(async function readFile(filePath) {
+export const readFile = trace(async function readFile(filePath, options = {}) {
   try {
-    return await fs.readFile(filePath, 'utf8');
+    return options.rev ? await readFileAtRevision(filePath, options.rev) : await fs.readFile(filePath, 'utf8');
   } catch (err) {
     throw new FileSystemError(`Could not read file: ${err.message}`, filePath);
   }
@@ -50,26 +217,29 @@ export const readFile = trace(async function readFile(filePath) {
 
 /**
  * Writes manifest data to a file
- * @param {object} data - The manifest data to write
+ * @param {object|string} data - The manifest data to write, or already rendered text
  * @param {string} outputPath - Path to the output file
  * @param {boolean} compress - Whether to compress the output
  * @returns {Promise<string>} - Path to the written file
  */
 export const writeManifest = trace(async function writeManifest(data, outputPath, compress) {
+  const finalPath = outputPath || 'project.manifest.json';
+  const compressedPath = compress ? `${finalPath}.gz` : null;
+  const targetPath = compress ? compressedPath : finalPath;
+  
+  // Write next to the target and rename, so readers never see a half-written file
+  const tempPath = `${targetPath}.${process.pid}.tmp`;
+  
   try {
-    const finalPath = outputPath || 'project.manifest.json';
-    const compressedPath = compress ? `${finalPath}.gz` : null;
-    const targetPath = compress ? compressedPath : finalPath;
-    
-    // Convert to JSON string
-    const jsonString = JSON.stringify(data, null, 2);
+    // Convert to JSON string unless the output was rendered in another format
+    const jsonString = typeof data === 'string' ? data : JSON.stringify(data, null, 2);
     
     if (compress) {
-      return new Promise((resolve, reject) => {
+      await new Promise((resolve, reject) => {
         const gzip = createGzip();
-        const output = createWriteStream(targetPath);
+        const output = createWriteStream(tempPath);
         
-        output.on('finish', () => resolve(targetPath));
+        output.on('finish', resolve);
         output.on('error', (err) => reject(new FileSystemError(`Could not write compressed file: ${err.message}`, targetPath)));
         
         gzip.pipe(output);
@@ -77,14 +247,124 @@ export const writeManifest = trace(async function writeManifest(data, outputPath
         gzip.end();
       });
     } else {
-      await fs.writeFile(targetPath, jsonString, 'utf8');
-      return targetPath;
+      await fs.writeFile(tempPath, jsonString, 'utf8');
     }
+    
+    await fs.rename(tempPath, targetPath);
+    return targetPath;
   } catch (err) {
+    await fs.rm(tempPath, { force: true });
+    if (err instanceof FileSystemError) {
+      throw err;
+    }
     throw new FileSystemError(`Could not write manifest: ${err.message}`, outputPath);
   }
 });
 
+/**
+ * Reads a manifest written by writeManifest: plain or gzip-compressed JSON, in the compact encoding of
+ * encodeManifest, or with the { $ref: n } string table of earlier versions. A --split index is read
+ * together with its part files
+ * @param {string} filePath - Path to the manifest
+ * @returns {Promise<object>} - The manifest
+ */
+export const readManifest = trace(async function readManifest(filePath) {
+  let buffer;
+  try {
+    buffer = await fs.readFile(filePath);
+  } catch (err) {
+    throw new FileSystemError(`Could not read manifest: ${err.message}`, filePath);
+  }
+  
+  let manifest;
+  try {
+    // Gzip streams start with 0x1f 0x8b whatever the file is called
+    const text = buffer[0] === 0x1f && buffer[1] === 0x8b ? gunzipSync(buffer).toString('utf8') : buffer.toString('utf8');
+    manifest = JSON.parse(text);
+  } catch (err) {
+    throw new FileSystemError(`Not a manifest file: ${err.message}`, filePath);
+  }
+  
+  if (manifest && manifest.format === COMPACT_FORMAT) {
+    try {
+      manifest = decodeManifest(manifest);
+    } catch (err) {
+      throw new FileSystemError(`Not a manifest file: ${err.message}`, filePath);
+    }
+  } else if (manifest && Array.isArray(manifest.stringTable)) {
+    manifest = expandStringTable(manifest);
+  }
+  if (manifest && manifest.split && Array.isArray(manifest.chunks)) {
+    manifest = await readSplitManifest(manifest, filePath);
+  }
+  if (!manifest || !Array.isArray(manifest.files)) {
+    throw new FileSystemError('Not a manifest file: no "files" list', filePath);
+  }
+  
+  return manifest;
+});
+
+/**
+ * Reads the part files a --split index lists, next to the index, and joins them
+ * @param {object} index - Split index
+ * @param {string} indexPath - Path to the index
+ * @returns {Promise<object>} - The whole manifest
+ */
+async function readSplitManifest(index, indexPath) {
+  const chunks = await Promise.all(index.chunks.map(async entry => {
+    let chunk;
+    try {
+      chunk = await readManifest(path.join(path.dirname(indexPath), entry.name));
+    } catch (err) {
+      throw new FileSystemError(`Could not read part ${entry.name} of the split manifest: ${err.message}`, indexPath);
+    }
+    // A part left from an earlier --split run belongs to another index
+    if (!chunk.chunk || chunk.chunk.number !== entry.number || chunk.chunk.of !== index.chunks.length) {
+      throw new FileSystemError(`${entry.name} is not part ${entry.number} of this split manifest; run --split again`, indexPath);
+    }
+    return chunk;
+  }));
+  return joinChunks(index, chunks);
+}
+
+/**
+ * Replaces the { $ref: n } strings that --compress wrote before the compact encoding with their values
+ * @param {object} manifest - Manifest with a string table
+ * @returns {object} - Manifest with plain strings
+ */
+function expandStringTable(manifest) {
+  const { stringTable, ...rest } = manifest;
+  const expand = value => {
+    if (Array.isArray(value)) {
+      return value.map(expand);
+    }
+    if (value !== null && typeof value === 'object') {
+      if (Object.keys(value).length === 1 && Number.isInteger(value.$ref)) {
+        return stringTable[value.$ref];
+      }
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expand(item)]));
+    }
+    return value;
+  };
+  return expand(rest);
+}
+
+/**
+ * Deletes the files of a directory that a predicate picks
+ * @param {string} directory - Directory to clean
+ * @param {Function} shouldRemove - Takes a file name and returns true to delete the file
+ * @returns {Promise<string[]>} - Names of the deleted files
+ */
+export const removeFiles = trace(async function removeFiles(directory, shouldRemove) {
+  try {
+    const names = (await fs.readdir(directory)).filter(shouldRemove);
+    await Promise.all(names.map(name => fs.rm(path.join(directory, name), { force: true })));
+    return names;
+  } catch (err) {
+    throw new FileSystemError(`Could not remove files: ${err.message}`, directory);
+  }
+});
+
 /**
  * Gets the relative path from the project root
  * @param {string} absolutePath - Absolute file path
@@ -96,8 +376,11 @@ export const getRelativePath = trace(function getRelativePath(absolutePath, root
 });
 
 export default {
+  DEFAULT_MAX_FILE_SIZE,
   findSourceFiles,
   readFile,
   writeManifest,
+  readManifest,
+  removeFiles,
   getRelativePath,
 }; 
\ No newline at end of file
@@ -0,0 +1,114 @@
+import path from 'path';
+import { existsSync } from 'fs';
+import { execFile } from 'child_process';
+import { trace } from '../logger.js';
+import { UserInputError } from '../errors.js';
+
+// Source files and listings of large repositories exceed execFile's default buffer
+const MAX_OUTPUT_BYTES = 256 * 1024 * 1024;
+
+/**
+ * Lists the files changed on the current branch: everything that differs between the working
+ * tree and the merge base with a ref, plus untracked files that are not ignored
+ * @param {string} sourcePath - Directory inside the repository; only files below it are listed
+ * @param {string} ref - Branch, tag or commit to compare with
+ * @returns {Promise<object>} - { base: merge base commit, files: absolute paths of added, copied, modified and renamed files }
+ */
+export const getChangedFiles = trace(async function getChangedFiles(sourcePath, ref) {
+  const cwd = path.resolve(sourcePath);
+  const base = (await runGit(['merge-base', '--end-of-options', ref, 'HEAD'], cwd)).trim();
+
+  // --relative limits the diff to the directory and reports paths relative to it
+  const changed = await runGit(['diff', '--name-only', '-z', '--relative', '--diff-filter=ACMR', base], cwd);
+  const untracked = await runGit(['ls-files', '--others', '--exclude-standard', '-z'], cwd);
+
+  const files = new Set([...splitNul(changed), ...splitNul(untracked)].map(file => path.resolve(cwd, file)));
+  return { base, files: [...files].sort() };
+});
+
+/**
+ * Resolves a ref to the commit it names
+ * @param {string} sourcePath - Directory inside the repository
+ * @param {string} rev - Branch, tag or commit
+ * @returns {Promise<string>} - Full commit hash
+ */
+export const resolveRevision = trace(async function resolveRevision(sourcePath, rev) {
+  return (await runGit(['rev-parse', '--verify', '--end-of-options', `${rev}^{commit}`], path.resolve(sourcePath))).trim();
+});
+
+/**
+ * Lists the files in a commit's tree below a directory
+ * @param {string} sourcePath - Directory inside the repository
+ * @param {string} rev - Commit to list
+ * @returns {Promise<object[]>} - { path: absolute path the file would have if checked out, size: bytes }
+ */
+export const listFilesAtRevision = trace(async function listFilesAtRevision(sourcePath, rev) {
+  const cwd = path.resolve(sourcePath);
+  // Without --full-name, ls-tree paths are relative to the working directory
+  const output = await runGit(['ls-tree', '-r', '-l', '-z', rev, '--', '.'], cwd);
+
+  return splitNul(output)
+    .map(line => {
+      // <mode> SP <type> SP <object> SP+ <size> TAB <path>
+      const tab = line.indexOf('\t');
+      const [, type, , size] = line.slice(0, tab).split(/ +/);
+      return { type, size: Number(size), path: path.resolve(cwd, line.slice(tab + 1)) };
+    })
+    .filter(entry => entry.type === 'blob')
+    .map(({ path: filePath, size }) => ({ path: filePath, size }));
+});
+
+/**
+ * Reads a file as it is in a commit, without checking the commit out
+ * @param {string} filePath - Absolute path the file would have if checked out
+ * @param {string} rev - Commit to read from
+ * @returns {Promise<string>} - File contents
+ */
+export const readFileAtRevision = trace(async function readFileAtRevision(filePath, rev) {
+  // The file's directory may not exist in the working tree any more
+  let cwd = path.dirname(filePath);
+  while (!existsSync(cwd) && path.dirname(cwd) !== cwd) {
+    cwd = path.dirname(cwd);
+  }
+
+  // "<rev>:./<path>" is resolved relative to the directory git runs in
+  const relative = path.relative(cwd, filePath).split(path.sep).join('/');
+  return runGit(['show', `${rev}:./${relative}`], cwd);
+});
+
+/**
+ * Runs a git command
+ * @param {string[]} args - Arguments after "git"
+ * @param {string} cwd - Directory to run in
+ * @returns {Promise<string>} - Standard output
+ */
+function runGit(args, cwd) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, encoding: 'utf8', maxBuffer: MAX_OUTPUT_BYTES }, (err, stdout, stderr) => {
+      if (!err) {
+        resolve(stdout);
+      } else if (err.code === 'ENOENT') {
+        reject(new UserInputError(`git is needed for --since and --rev but could not be run in ${cwd}`));
+      } else {
+        const detail = (stderr || err.message).trim().split('\n')[0];
+        reject(new UserInputError(`git ${args[0]} failed: ${detail}`));
+      }
+    });
+  });
+}
+
+/**
+ * Splits NUL-terminated git output
+ * @param {string} output - Output of a command run with -z
+ * @returns {string[]} - Entries
+ */
+function splitNul(output) {
+  return output.split('\0').filter(Boolean);
+}
+
+export default {
+  getChangedFiles,
+  resolveRevision,
+  listFilesAtRevision,
+  readFileAtRevision,
+};
@@ -0,0 +1,170 @@
+import path from 'path';
+import { trace } from '../logger.js';
+
+/**
+ * Builds the file-level dependency graph from a resolved manifest
+ * @param {object} manifest - Manifest with a `graph` section (see resolveDependencies)
+ * @param {object} [options] - Graph options
+ * @param {boolean} [options.includeExternals] - Keep builtin, dependency and unresolved nodes (default true)
+ * @param {boolean} [options.includeTypeOnly] - Keep edges from `import type` and `export type` (default true)
+ * @param {number} [options.collapseDepth] - Collapse files into their directory, keeping at most this many
+ *   directory levels (Infinity for the full directory, undefined to keep files)
+ * @returns {object} - { nodes: Map<id, { id, kind }>, edges: { from, to, types, typeOnly }[] }
+ */
+export const buildDependencyGraph = trace(function buildDependencyGraph(manifest, options = {}) {
+  const { includeExternals = true, includeTypeOnly = true, collapseDepth } = options;
+  const graph = manifest.graph || { nodes: [], edges: [] };
+
+  const nodeKinds = new Map(graph.nodes.map(node => [node.id, node.kind]));
+  const mapId = id => (collapseDepth !== undefined && nodeKinds.get(id) === 'file' ? collapseToDirectory(id, collapseDepth) : id);
+
+  const nodes = new Map();
+  graph.nodes.forEach(node => {
+    if (node.kind !== 'file' && !includeExternals) {
+      return;
+    }
+    const id = mapId(node.id);
+    if (!nodes.has(id)) {
+      nodes.set(id, { id, kind: collapseDepth !== undefined && node.kind === 'file' ? 'directory' : node.kind });
+    }
+  });
+
+  // Merge parallel edges, remembering every dependency type that produced them
+  const edgeMap = new Map();
+  graph.edges.forEach(edge => {
+    const from = mapId(edge.from);
+    const to = mapId(edge.to);
+    if (!nodes.has(from) || !nodes.has(to) || (edge.typeOnly && !includeTypeOnly)) {
+      return;
+    }
+    // Collapsing turns imports within a directory into self-loops, which say nothing
+    if (collapseDepth !== undefined && from === to) {
+      return;
+    }
+
+    const key = `${from}\u0000${to}`;
+    if (!edgeMap.has(key)) {
+      edgeMap.set(key, { from, to, types: [], typeOnly: true });
+    }
+    const merged = edgeMap.get(key);
+    if (!merged.types.includes(edge.type)) {
+      merged.types.push(edge.type);
+    }
+    // The merged edge is type-only when every edge behind it is
+    merged.typeOnly = merged.typeOnly && Boolean(edge.typeOnly);
+  });
+
+  return {
+    nodes,
+    edges: [...edgeMap.values()],
+  };
+});
+
+/**
+ * Finds strongly connected components with Tarjan's algorithm (iterative, so deep graphs do not overflow the stack)
+ * @param {string[]} nodeIds - Node ids
+ * @param {object[]} edges - Edges with `from` and `to`
+ * @returns {string[][]} - Components in discovery order; each component lists its node ids
+ */
+export const findStronglyConnectedComponents = trace(function findStronglyConnectedComponents(nodeIds, edges) {
+  const adjacency = new Map(nodeIds.map(id => [id, []]));
+  edges.forEach(edge => {
+    if (adjacency.has(edge.from) && adjacency.has(edge.to)) {
+      adjacency.get(edge.from).push(edge.to);
+    }
+  });
+
+  const indices = new Map();
+  const lowLinks = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let nextIndex = 0;
+
+  nodeIds.forEach(start => {
+    if (indices.has(start)) {
+      return;
+    }
+
+    // Each frame is a node plus the position of the next neighbour to visit
+    const frames = [{ id: start, neighbour: 0 }];
+    indices.set(start, nextIndex);
+    lowLinks.set(start, nextIndex);
+    nextIndex += 1;
+    stack.push(start);
+    onStack.add(start);
+
+    while (frames.length > 0) {
+      const frame = frames[frames.length - 1];
+      const neighbours = adjacency.get(frame.id);
+
+      if (frame.neighbour < neighbours.length) {
+        const next = neighbours[frame.neighbour];
+        frame.neighbour += 1;
+
+        if (!indices.has(next)) {
+          indices.set(next, nextIndex);
+          lowLinks.set(next, nextIndex);
+          nextIndex += 1;
+          stack.push(next);
+          onStack.add(next);
+          frames.push({ id: next, neighbour: 0 });
+        } else if (onStack.has(next)) {
+          lowLinks.set(frame.id, Math.min(lowLinks.get(frame.id), indices.get(next)));
+        }
+      } else {
+        frames.pop();
+        if (frames.length > 0) {
+          const parent = frames[frames.length - 1];
+          lowLinks.set(parent.id, Math.min(lowLinks.get(parent.id), lowLinks.get(frame.id)));
+        }
+
+        // A node whose low link is its own index roots a component
+        if (lowLinks.get(frame.id) === indices.get(frame.id)) {
+          const component = [];
+          let member;
+          do {
+            member = stack.pop();
+            onStack.delete(member);
+            component.push(member);
+          } while (member !== frame.id);
+          components.push(component.reverse());
+        }
+      }
+    }
+  });
+
+  return components;
+});
+
+/**
+ * Finds import cycles: components with more than one node, and nodes that import themselves
+ * @param {string[]} nodeIds - Node ids
+ * @param {object[]} edges - Edges with `from` and `to`
+ * @returns {string[][]} - Cycles, each listing the node ids involved
+ */
+export const findCycles = trace(function findCycles(nodeIds, edges) {
+  const selfLoops = new Set(edges.filter(edge => edge.from === edge.to).map(edge => edge.from));
+  return findStronglyConnectedComponents(nodeIds, edges)
+    .filter(component => component.length > 1 || selfLoops.has(component[0]));
+});
+
+/**
+ * Maps a file path to its directory, keeping at most `depth` directory levels
+ * @param {string} filePath - Manifest path of a file
+ * @param {number} depth - Number of directory levels to keep
+ * @returns {string} - Directory id ("." for the project root)
+ */
+function collapseToDirectory(filePath, depth) {
+  const directory = path.posix.dirname(filePath);
+  if (directory === '.') {
+    return '.';
+  }
+  return directory.split('/').slice(0, Math.max(depth, 1)).join('/');
+}
+
+export default {
+  buildDependencyGraph,
+  findStronglyConnectedComponents,
+  findCycles,
+};
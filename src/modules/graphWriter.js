@@ -0,0 +1,175 @@
+import { trace } from '../logger.js';
+import { UserInputError } from '../errors.js';
+import { buildDependencyGraph, findCycles } from './graph.js';
+
+/**
+ * Output formats rendered by renderGraph
+ */
+export const GRAPH_FORMATS = ['dot', 'mermaid', 'graph-json'];
+
+/**
+ * Renders the project dependency graph as Graphviz DOT, Mermaid or a JSON adjacency list
+ * @param {object} manifest - Manifest with a `graph` section
+ * @param {object} options - Render options
+ * @param {string} options.format - "dot", "mermaid" or "graph-json"
+ * @param {boolean} [options.includeExternals] - Keep external packages (default true)
+ * @param {number} [options.collapseDepth] - Collapse files into directories (see buildDependencyGraph)
+ * @returns {string} - Rendered graph
+ */
+export const renderGraph = trace(function renderGraph(manifest, options) {
+  const graph = buildDependencyGraph(manifest, options);
+  const cycles = findCycles([...graph.nodes.keys()], graph.edges.filter(edge => !edge.typeOnly));
+
+  // Edges inside a cycle are highlighted; both ends share a component
+  const componentOf = new Map();
+  cycles.forEach((cycle, index) => cycle.forEach(id => componentOf.set(id, index)));
+  const inCycle = edge => !edge.typeOnly && componentOf.has(edge.from) && componentOf.get(edge.from) === componentOf.get(edge.to);
+
+  switch (options.format) {
+    case 'dot':
+      return renderDot(graph, componentOf, inCycle);
+    case 'mermaid':
+      return renderMermaid(graph, componentOf, inCycle);
+    case 'graph-json':
+      return renderAdjacencyJson(graph, cycles);
+    default:
+      throw new UserInputError(`Unknown graph format: ${options.format}. Expected one of: ${GRAPH_FORMATS.join(', ')}`);
+  }
+});
+
+/**
+ * Renders Graphviz DOT
+ * @param {object} graph - Graph from buildDependencyGraph
+ * @param {Map} componentOf - Node id to cycle index
+ * @param {Function} inCycle - Whether an edge lies on a cycle
+ * @returns {string} - DOT source
+ */
+function renderDot(graph, componentOf, inCycle) {
+  const lines = [
+    'digraph dependencies {',
+    '  rankdir=LR;',
+    '  node [shape=box, fontname="Helvetica"];',
+  ];
+
+  graph.nodes.forEach(node => {
+    const attributes = [...nodeStyle(node.kind)];
+    if (componentOf.has(node.id)) {
+      attributes.push('color=red');
+    }
+    lines.push(`  ${quoteDot(node.id)}${attributes.length > 0 ? ` [${attributes.join(', ')}]` : ''};`);
+  });
+
+  graph.edges.forEach(edge => {
+    const attributes = [];
+    if (inCycle(edge)) {
+      attributes.push('color=red', 'penwidth=2');
+    }
+    if (edge.typeOnly) {
+      attributes.push('style=dotted');
+    } else if (edge.types.every(type => type === 'dynamicImport')) {
+      attributes.push('style=dashed');
+    }
+    lines.push(`  ${quoteDot(edge.from)} -> ${quoteDot(edge.to)}${attributes.length > 0 ? ` [${attributes.join(', ')}]` : ''};`);
+  });
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Gets DOT attributes for a node kind
+ * @param {string} kind - Node kind
+ * @returns {string[]} - DOT attributes
+ */
+function nodeStyle(kind) {
+  switch (kind) {
+    case 'directory':
+      return ['shape=folder'];
+    case 'builtin':
+      return ['shape=ellipse', 'style=dashed'];
+    case 'dependency':
+      return ['shape=ellipse'];
+    case 'unresolved':
+      return ['shape=ellipse', 'style=dotted', 'color=gray'];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Quotes an id for DOT
+ * @param {string} id - Node id
+ * @returns {string} - Quoted id
+ */
+function quoteDot(id) {
+  return `"${id.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Renders a Mermaid flowchart
+ * @param {object} graph - Graph from buildDependencyGraph
+ * @param {Map} componentOf - Node id to cycle index
+ * @param {Function} inCycle - Whether an edge lies on a cycle
+ * @returns {string} - Mermaid source
+ */
+function renderMermaid(graph, componentOf, inCycle) {
+  // Mermaid ids must be simple, so paths become n0, n1, ... with the path as label
+  const ids = new Map([...graph.nodes.keys()].map((id, index) => [id, `n${index}`]));
+  const lines = ['graph LR'];
+
+  graph.nodes.forEach(node => {
+    const label = node.id.replace(/"/g, '#quot;');
+    const shape = node.kind === 'file' || node.kind === 'directory' ? `["${label}"]` : `(["${label}"])`;
+    lines.push(`  ${ids.get(node.id)}${shape}`);
+  });
+
+  const cycleLinks = [];
+  graph.edges.forEach((edge, index) => {
+    const arrow = edge.typeOnly || edge.types.every(type => type === 'dynamicImport') ? '-.->' : '-->';
+    lines.push(`  ${ids.get(edge.from)} ${arrow} ${ids.get(edge.to)}`);
+    if (inCycle(edge)) {
+      cycleLinks.push(index);
+    }
+  });
+
+  const externalIds = [...graph.nodes.values()]
+    .filter(node => node.kind !== 'file' && node.kind !== 'directory')
+    .map(node => ids.get(node.id));
+  if (externalIds.length > 0) {
+    lines.push('  classDef external stroke-dasharray: 4 2;');
+    lines.push(`  class ${externalIds.join(',')} external;`);
+  }
+
+  if (componentOf.size > 0) {
+    lines.push('  classDef cycle stroke:#d33,stroke-width:2px;');
+    lines.push(`  class ${[...componentOf.keys()].map(id => ids.get(id)).join(',')} cycle;`);
+  }
+  if (cycleLinks.length > 0) {
+    lines.push(`  linkStyle ${cycleLinks.join(',')} stroke:#d33,stroke-width:2px;`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Renders a JSON adjacency list
+ * @param {object} graph - Graph from buildDependencyGraph
+ * @param {string[][]} cycles - Cycles found in the graph
+ * @returns {string} - JSON text
+ */
+function renderAdjacencyJson(graph, cycles) {
+  const nodes = {};
+  graph.nodes.forEach(node => {
+    nodes[node.id] = { kind: node.kind, imports: [] };
+  });
+  graph.edges.forEach(edge => {
+    nodes[edge.from].imports.push(edge.to);
+  });
+
+  return `${JSON.stringify({ nodes, cycles }, null, 2)}\n`;
+}
+
+export default {
+  GRAPH_FORMATS,
+  renderGraph,
+};
@@ -0,0 +1,204 @@
+import { trace } from '../logger.js';
+
+/**
+ * Parses the text of a JSDoc block comment into a description and tags
+ * @param {string} commentValue - Comment value as produced by Babel (without the surrounding delimiters)
+ * @returns {object|null} - Parsed JSDoc, or null if the comment is not a JSDoc block
+ */
+export const parseJSDoc = trace(function parseJSDoc(commentValue) {
+  // JSDoc blocks start with "/**", so Babel gives us a value beginning with "*"
+  if (typeof commentValue !== 'string' || !commentValue.startsWith('*')) {
+    return null;
+  }
+
+  const lines = commentValue
+    .slice(1)
+    .split('\n')
+    .map(line => line.replace(/^\s*\*? ?/, '').trimEnd());
+
+  // Split the block into the free-text description and one chunk per tag
+  const descriptionLines = [];
+  const tagChunks = [];
+  lines.forEach(line => {
+    if (/^\s*@\w+/.test(line)) {
+      tagChunks.push(line.trim());
+    } else if (tagChunks.length > 0) {
+      tagChunks[tagChunks.length - 1] += `\n${line}`;
+    } else {
+      descriptionLines.push(line);
+    }
+  });
+
+  const jsdoc = {
+    description: descriptionLines.join('\n').trim(),
+    params: [],
+    returns: null,
+    type: null,
+    typedefs: [],
+  };
+
+  tagChunks.forEach(chunk => {
+    const [, tag, rest] = chunk.match(/^@(\w+)\s*([\s\S]*)$/);
+
+    switch (tag) {
+      case 'param':
+      case 'arg':
+      case 'argument': {
+        const param = parseNamedTag(rest);
+        if (param) {
+          jsdoc.params.push(param);
+        }
+        break;
+      }
+      case 'returns':
+      case 'return': {
+        const { type, text } = readType(rest);
+        jsdoc.returns = { type, description: cleanDescription(text) };
+        break;
+      }
+      case 'type': {
+        jsdoc.type = readType(rest).type;
+        break;
+      }
+      case 'typedef': {
+        const { type, text } = readType(rest);
+        const name = text.trim().split(/\s+/)[0];
+        if (name) {
+          jsdoc.typedefs.push({
+            name,
+            type: type || 'Object',
+            description: cleanDescription(text.trim().slice(name.length)),
+            properties: [],
+          });
+        }
+        break;
+      }
+      case 'property':
+      case 'prop': {
+        // Properties belong to the most recent @typedef in the same block
+        const property = parseNamedTag(rest);
+        const typedef = jsdoc.typedefs[jsdoc.typedefs.length - 1];
+        if (property && typedef) {
+          typedef.properties.push(property);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  // A typedef on its own is documentation for the type, not for the next declaration
+  if (jsdoc.typedefs.length === 1 && !jsdoc.typedefs[0].description) {
+    jsdoc.typedefs[0].description = jsdoc.description;
+  }
+
+  return jsdoc;
+});
+
+/**
+ * Returns the first line of a JSDoc description, trimmed to a maximum length
+ * @param {string} description - Full description text
+ * @param {number} maxLength - Maximum length of the summary
+ * @returns {string} - One-line summary
+ */
+export const summarizeDoc = trace(function summarizeDoc(description, maxLength = 120) {
+  if (!description) {
+    return '';
+  }
+
+  const firstLine = description.split('\n').find(line => line.trim()) || '';
+  const summary = firstLine.trim();
+
+  return summary.length > maxLength ? `${summary.slice(0, maxLength - 1).trimEnd()}…` : summary;
+});
+
+/**
+ * Parses a tag of the form "{type} name - description", as used by @param and @property
+ * @param {string} text - Tag text after the tag name
+ * @returns {object|null} - Tag information
+ */
+function parseNamedTag(text) {
+  const { type, text: remainder } = readType(text);
+  const match = remainder.trim().match(/^(\[[^\]]*\]|\S+)([\s\S]*)$/);
+  if (!match) {
+    return null;
+  }
+
+  let name = match[1];
+  let optional = false;
+  let defaultValue;
+
+  // Optional parameters are written as [name] or [name=default]
+  if (name.startsWith('[') && name.endsWith(']')) {
+    optional = true;
+    const [bareName, ...defaultParts] = name.slice(1, -1).split('=');
+    name = bareName.trim();
+    if (defaultParts.length > 0) {
+      defaultValue = defaultParts.join('=').trim();
+    }
+  }
+
+  const tag = {
+    name,
+    type,
+    description: cleanDescription(match[2]),
+  };
+
+  if (optional) {
+    tag.optional = true;
+  }
+  if (defaultValue !== undefined) {
+    tag.defaultValue = defaultValue;
+  }
+
+  return tag;
+}
+
+/**
+ * Reads a leading "{type}" expression, honouring nested braces
+ * @param {string} text - Tag text
+ * @returns {object} - The type (or null) and the remaining text
+ */
+function readType(text) {
+  const trimmed = text.trimStart();
+  if (!trimmed.startsWith('{')) {
+    return { type: null, text: trimmed };
+  }
+
+  let depth = 0;
+  for (let i = 0; i < trimmed.length; i++) {
+    if (trimmed[i] === '{') {
+      depth++;
+    } else if (trimmed[i] === '}') {
+      depth--;
+      if (depth === 0) {
+        return {
+          type: trimmed.slice(1, i).trim() || null,
+          text: trimmed.slice(i + 1),
+        };
+      }
+    }
+  }
+
+  // Unbalanced braces: treat the whole thing as free text
+  return { type: null, text: trimmed };
+}
+
+/**
+ * Normalizes a tag description by removing the conventional leading dash and extra whitespace
+ * @param {string} text - Raw description
+ * @returns {string} - Cleaned description
+ */
+function cleanDescription(text) {
+  return (text || '')
+    .trim()
+    .replace(/^-\s*/, '')
+    .replace(/\s*\n\s*/g, ' ')
+    .trim();
+}
+
+export default {
+  parseJSDoc,
+  summarizeDoc,
+};
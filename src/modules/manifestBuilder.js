@@ -1,15 +1,17 @@
 import path from 'path';
 import { trace } from '../logger.js';
 import { UserInputError } from '../errors.js';
+import { summarizeDoc } from './jsdoc.js';
 
 /**
  * Builds a project manifest from parsed file data
  * @param {object[]} parsedFiles - Array of parsed file metadata
  * @param {string} rootPath - Project root path
+ * @param {object[]} [failedFiles] - Files that could not be parsed, as { filePath, diagnostic }
  * @returns {object} - Complete project manifest
  */
-export const buildManifest = trace(function buildManifest(parsedFiles, rootPath) {
-  if (!Array.isArray(parsedFiles) || parsedFiles.length === 0) {
+export const buildManifest = trace(function buildManifest(parsedFiles, rootPath, failedFiles = []) {
+  if (!Array.isArray(parsedFiles) || parsedFiles.length + failedFiles.length === 0) {
     throw new UserInputError('No files to process');
   }
   
@@ -19,8 +21,10 @@ export const buildManifest = trace(function buildManifest(parsedFiles, rootPath)
     generated: new Date().toISOString(),
     rootPath,
     files: [],
+    diagnostics: [],
     stats: {
       totalFiles: parsedFiles.length,
+      failedFiles: failedFiles.length,
       totalSymbols: 0,
       totalDependencies: 0,
       typeStats: {
@@ -28,6 +32,13 @@ export const buildManifest = trace(function buildManifest(parsedFiles, rootPath)
         classes: 0,
         constants: 0,
         exports: 0,
+        typedefs: 0,
+        interfaces: 0,
+        typeAliases: 0,
+        enums: 0,
+        namespaces: 0,
+        reexports: 0,
+        cjsExports: 0,
       },
     },
   };
@@ -48,12 +59,31 @@ export const buildManifest = trace(function buildManifest(parsedFiles, rootPath)
       hasDefaultExport: metadata.hasDefaultExport || false,
     };
     
+    // Content hash, so consumers can tell which files changed between manifests
+    if (fileData.hash) {
+      fileManifest.hash = fileData.hash;
+    }
+    
+    // Unchanged file summarized by what changed files import from it (--since)
+    if (fileData.context) {
+      fileManifest.context = true;
+    }
+    
+    if (metadata.defaultExport) {
+      fileManifest.defaultExport = metadata.defaultExport;
+    }
+    
+    // Syntax errors the parser recovered from; the symbols may be incomplete
+    (metadata.diagnostics || []).forEach(diagnostic => {
+      manifest.diagnostics.push({ path: relativePath, ...diagnostic });
+    });
+    
     // Update stats
     manifest.stats.totalSymbols += fileManifest.symbols.length;
     manifest.stats.totalDependencies += fileManifest.dependencies.length;
     
-    // Count symbol types
-    fileManifest.symbols.forEach(symbol => {
+    // Count symbol types, including the members of namespaces
+    const countSymbol = symbol => {
       if (symbol.type === 'fn') {
         manifest.stats.typeStats.functions += 1;
       } else if (symbol.type === 'class') {
@@ -62,12 +92,32 @@ export const buildManifest = trace(function buildManifest(parsedFiles, rootPath)
         manifest.stats.typeStats.constants += 1;
       } else if (symbol.type === 'export') {
         manifest.stats.typeStats.exports += 1;
+      } else if (symbol.type === 'typedef') {
+        manifest.stats.typeStats.typedefs += 1;
+      } else if (symbol.type === 'interface') {
+        manifest.stats.typeStats.interfaces += 1;
+      } else if (symbol.type === 'typeAlias') {
+        manifest.stats.typeStats.typeAliases += 1;
+      } else if (symbol.type === 'enum') {
+        manifest.stats.typeStats.enums += 1;
+      } else if (symbol.type === 'namespace') {
+        manifest.stats.typeStats.namespaces += 1;
+        symbol.members.forEach(countSymbol);
+      } else if (symbol.type === 'reexport' || symbol.type === 'exportAll') {
+        manifest.stats.typeStats.reexports += 1;
+      } else if (symbol.type === 'cjsExport') {
+        manifest.stats.typeStats.cjsExports += 1;
       }
-    });
+    };
+    fileManifest.symbols.forEach(countSymbol);
     
     manifest.files.push(fileManifest);
   });
   
+  failedFiles.forEach(({ filePath, diagnostic }) => {
+    manifest.diagnostics.push({ path: path.relative(rootPath, filePath), ...diagnostic });
+  });
+  
   return manifest;
 });
 
@@ -87,13 +137,67 @@ export const optimizeForLLM = trace(function optimizeForLLM(manifest) {
         symbols: file.symbols.map(simplifySymbol),
         dependencies: file.dependencies,
         hasDefaultExport: file.hasDefaultExport,
+        ...(file.defaultExport && { defaultExport: file.defaultExport }),
+        ...(file.hash && { hash: file.hash }),
+        ...(file.context && { context: true }),
       };
     }),
   };
   
+  if (manifest.graph) {
+    optimizedManifest.graph = manifest.graph;
+  }
+  
+  // Calls are only kept as the project-level graph, not on each symbol
+  if (manifest.calls) {
+    optimizedManifest.calls = manifest.calls;
+  }
+  
+  // Say which commit or change set the manifest describes
+  if (manifest.revision) {
+    optimizedManifest.revision = manifest.revision;
+  }
+  if (manifest.since) {
+    optimizedManifest.since = manifest.since;
+  }
+  
+  if (manifest.diagnostics && manifest.diagnostics.length > 0) {
+    optimizedManifest.diagnostics = manifest.diagnostics;
+  }
+  
   return optimizedManifest;
 });
 
+/**
+ * Reduces the manifest to the public API surface of each module
+ * @param {object} manifest - The complete manifest
+ * @returns {object} - Manifest with only exported symbols
+ */
+export const extractPublicApi = trace(function extractPublicApi(manifest) {
+  const files = manifest.files.map(file => {
+    const exportedSymbols = file.symbols.filter(symbol => symbol.exported && symbol.exported !== 'none');
+    
+    // `export { foo }` and `module.exports = { foo }` repeat a declaration that is already marked as exported; aliases are kept
+    const isAlias = symbol => symbol.type === 'export' || (symbol.type === 'cjsExport' && symbol.localName);
+    const declaredNames = new Set(exportedSymbols.filter(symbol => !isAlias(symbol)).map(symbol => symbol.name));
+    const symbols = exportedSymbols.filter(symbol => !isAlias(symbol)
+      || symbol.name !== symbol.localName
+      || !declaredNames.has(symbol.localName));
+    
+    const { dependencies, ...rest } = file;
+    return {
+      ...rest,
+      symbols,
+    };
+  }).filter(file => file.symbols.length > 0 || file.hasDefaultExport);
+  
+  return {
+    ...manifest,
+    exportsOnly: true,
+    files,
+  };
+});
+
 /**
  * Simplifies a symbol by removing unnecessary information
  * @param {object} symbol - Symbol object
@@ -106,30 +210,145 @@ function simplifySymbol(symbol) {
     type: symbol.type,
   };
   
+  // Unexported is the common case, so only exported symbols are marked
+  if (symbol.exported && symbol.exported !== 'none') {
+    simplified.exported = symbol.exported;
+  }
+  
+  // Keep only the first line of the documentation
+  if (symbol.doc) {
+    simplified.doc = summarizeDoc(symbol.doc);
+  }
+  
   // Handle different symbol types
   if (symbol.type === 'fn') {
+    if (symbol.typeParameters) {
+      simplified.typeParameters = symbol.typeParameters;
+    }
     simplified.params = symbol.params ? symbol.params.map(simplifyParam) : [];
     simplified.returnType = symbol.returnType;
+    if (symbol.locals) {
+      simplified.locals = symbol.locals.map(simplifySymbol);
+    }
   } else if (symbol.type === 'class') {
+    if (symbol.abstract) {
+      simplified.abstract = true;
+    }
+    if (symbol.typeParameters) {
+      simplified.typeParameters = symbol.typeParameters;
+    }
     simplified.fields = symbol.fields ? symbol.fields.map(field => ({
       name: field.name,
       type: field.type,
       static: field.static,
+      ...(field.accessibility && { accessibility: field.accessibility }),
+      ...(field.doc && { doc: summarizeDoc(field.doc) }),
     })) : [];
     
     simplified.methods = symbol.methods ? symbol.methods.map(method => ({
       name: method.name,
       kind: method.kind,
       static: method.static,
+      ...(method.accessibility && { accessibility: method.accessibility }),
+      ...(method.abstract && { abstract: true }),
+      ...(method.typeParameters && { typeParameters: method.typeParameters }),
       params: method.params ? method.params.map(simplifyParam) : [],
       returnType: method.returnType,
+      ...(method.doc && { doc: summarizeDoc(method.doc) }),
+      ...(method.locals && { locals: method.locals.map(simplifySymbol) }),
     })) : [];
     
     if (symbol.extends) {
       simplified.extends = symbol.extends;
     }
+  } else if (symbol.type === 'const') {
+    if (symbol.valueType) {
+      simplified.valueType = symbol.valueType;
+    }
+  } else if (symbol.type === 'typedef') {
+    simplified.definition = symbol.definition;
+    simplified.properties = symbol.properties ? symbol.properties.map(prop => ({
+      name: prop.name,
+      type: prop.type,
+    })) : [];
+  } else if (symbol.type === 'interface') {
+    if (symbol.typeParameters) {
+      simplified.typeParameters = symbol.typeParameters;
+    }
+    if (symbol.extends && symbol.extends.length > 0) {
+      simplified.extends = symbol.extends;
+    }
+    simplified.members = symbol.members ? symbol.members.map(simplifyTypeMember) : [];
+  } else if (symbol.type === 'typeAlias') {
+    if (symbol.typeParameters) {
+      simplified.typeParameters = symbol.typeParameters;
+    }
+    simplified.definition = symbol.definition;
+  } else if (symbol.type === 'enum') {
+    if (symbol.const) {
+      simplified.const = true;
+    }
+    simplified.members = symbol.members ? symbol.members.map(member => ({
+      name: member.name,
+      value: member.value,
+    })) : [];
+  } else if (symbol.type === 'namespace') {
+    simplified.kind = symbol.kind;
+    if (symbol.declare) {
+      simplified.declare = true;
+    }
+    simplified.members = symbol.members ? symbol.members.map(simplifySymbol) : [];
   } else if (symbol.type === 'export') {
     simplified.localName = symbol.localName;
+  } else if (symbol.type === 'reexport') {
+    simplified.imported = symbol.imported;
+    simplified.source = symbol.source;
+  } else if (symbol.type === 'exportAll') {
+    simplified.source = symbol.source;
+  } else if (symbol.type === 'cjsExport') {
+    if (symbol.localName) {
+      simplified.localName = symbol.localName;
+    }
+    if (symbol.params) {
+      simplified.params = symbol.params.map(simplifyParam);
+      simplified.returnType = symbol.returnType;
+    }
+    if (symbol.source) {
+      simplified.source = symbol.source;
+    }
+  }
+  
+  return simplified;
+}
+
+/**
+ * Simplifies an interface member by removing unnecessary information
+ * @param {object} member - Interface member object
+ * @returns {object} - Simplified member
+ */
+function simplifyTypeMember(member) {
+  const simplified = {
+    name: member.name,
+    kind: member.kind,
+  };
+  
+  if (member.params) {
+    simplified.params = member.params.map(simplifyParam);
+  }
+  if (member.type) {
+    simplified.type = member.type;
+  }
+  if (member.returnType) {
+    simplified.returnType = member.returnType;
+  }
+  if (member.optional) {
+    simplified.optional = true;
+  }
+  if (member.readonly) {
+    simplified.readonly = true;
+  }
+  if (member.doc) {
+    simplified.doc = summarizeDoc(member.doc);
   }
   
   return simplified;
@@ -154,6 +373,22 @@ function simplifyParam(param) {
     simplified.hasDefault = true;
   }
   
+  if (param.optional) {
+    simplified.optional = true;
+  }
+  
+  // Constructor parameters that also declare a field
+  if (param.accessibility) {
+    simplified.accessibility = param.accessibility;
+  }
+  if (param.readonly) {
+    simplified.readonly = true;
+  }
+  
+  if (param.doc) {
+    simplified.doc = summarizeDoc(param.doc, 80);
+  }
+  
   // Simplify object patterns
   if (param.name === 'objectPattern' && param.properties) {
     simplified.properties = param.properties.map(prop => ({
@@ -173,66 +408,8 @@ function simplifyParam(param) {
   return simplified;
 }
 
-/**
- * Optimizes the manifest by deduplicating strings (optional)
- * @param {object} manifest - The complete manifest
- * @returns {object} - Optimized manifest with string table
- */
-export const optimizeManifest = trace(function optimizeManifest(manifest) {
-  const stringTable = [];
-  const stringMap = new Map();
-  
-  // Function to intern a string
-  const internString = (str) => {
-    if (typeof str !== 'string') {
-      return str;
-    }
-    
-    if (!stringMap.has(str)) {
-      const index = stringTable.length;
-      stringTable.push(str);
-      stringMap.set(str, index);
-    }
-    
-    return { $ref: stringMap.get(str) };
-  };
-  
-  // Function to recursively process an object
-  const processObject = (obj) => {
-    if (Array.isArray(obj)) {
-      return obj.map(item => processObject(item));
-    }
-    
-    if (obj !== null && typeof obj === 'object') {
-      const result = {};
-      for (const [key, value] of Object.entries(obj)) {
-        // Don't optimize certain fields
-        if (key === 'version' || key === 'generated' || key === 'rootPath') {
-          result[key] = value;
-        } else if (typeof value === 'string') {
-          result[key] = internString(value);
-        } else {
-          result[key] = processObject(value);
-        }
-      }
-      return result;
-    }
-    
-    return obj;
-  };
-  
-  // Create a copy with optimized strings
-  const optimized = processObject(manifest);
-  
-  // Add string table
-  return {
-    ...optimized,
-    stringTable,
-  };
-});
-
 export default {
   buildManifest,
-  optimizeManifest,
+  extractPublicApi,
   optimizeForLLM,
 }; 
\ No newline at end of file
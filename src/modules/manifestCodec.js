@@ -0,0 +1,207 @@
+import { trace } from '../logger.js';
+import { UserInputError } from '../errors.js';
+
+/**
+ * Value of the `format` field that marks a manifest written by encodeManifest
+ */
+export const COMPACT_FORMAT = 'manifest-compact';
+
+// Layout version of the compact format, raised when the layout changes
+const COMPACT_VERSION = 1;
+
+// First element of an encoded array that says what it holds; 0 and up name an object shape
+const PLAIN_ARRAY = -1;
+const COLUMNS = -2;
+
+// Arrays of at least this many objects are stored column by column
+const MIN_COLUMN_ROWS = 2;
+
+/**
+ * Encodes a manifest compactly. Strings and numbers are stored once in tables and referenced by bare
+ * integers (strings from 0 up, numbers from -1 down), objects become arrays of values after the index
+ * of their key list, and arrays of objects are stored column by column. decodeManifest restores a
+ * value equal to the manifest written as JSON, key order included.
+ * @param {object} manifest - Manifest (or any JSON value)
+ * @returns {object} - { format, version, strings, numbers, shapes, data }
+ */
+export const encodeManifest = trace(function encodeManifest(manifest) {
+  // Frequent strings and numbers get the shortest references
+  const counts = { strings: new Map(), numbers: new Map() };
+  countValues(toJsonValue(manifest), counts);
+  const strings = rankByCount(counts.strings);
+  const numbers = rankByCount(counts.numbers);
+  const stringIds = new Map(strings.map((value, index) => [value, index]));
+  const numberIds = new Map(numbers.map((value, index) => [value, -index - 1]));
+
+  const shapes = [];
+  const shapeIds = new Map();
+  const getShape = keys => {
+    const id = keys.join('\u0000');
+    if (!shapeIds.has(id)) {
+      shapeIds.set(id, shapes.length);
+      shapes.push(keys.map(key => stringIds.get(key)));
+    }
+    return shapeIds.get(id);
+  };
+
+  const encode = value => {
+    if (typeof value === 'string') {
+      return stringIds.get(value);
+    }
+    if (typeof value === 'number') {
+      return numberIds.get(value);
+    }
+    if (value === null || typeof value === 'boolean') {
+      return value;
+    }
+    if (Array.isArray(value)) {
+      const columns = getColumnKeys(value);
+      if (columns) {
+        // Rows without a key hold an empty object, which no other encoded value is
+        return [COLUMNS, getShape(columns), value.length,
+          ...columns.map(key => value.map(row => (Object.hasOwn(row, key) ? encode(row[key]) : {})))];
+      }
+      return [PLAIN_ARRAY, ...value.map(encode)];
+    }
+    const keys = Object.keys(value);
+    return [getShape(keys), ...keys.map(key => encode(value[key]))];
+  };
+
+  const data = encode(toJsonValue(manifest));
+  return {
+    format: COMPACT_FORMAT,
+    version: COMPACT_VERSION,
+    strings,
+    numbers,
+    shapes,
+    data,
+  };
+});
+
+/**
+ * Decodes a manifest written by encodeManifest
+ * @param {object} encoded - Encoded manifest
+ * @returns {object} - The manifest
+ */
+export const decodeManifest = trace(function decodeManifest(encoded) {
+  if (!encoded || encoded.format !== COMPACT_FORMAT) {
+    throw new UserInputError('Not a compact manifest');
+  }
+  if (encoded.version !== COMPACT_VERSION) {
+    throw new UserInputError(`Compact manifest version ${encoded.version} is not supported; expected ${COMPACT_VERSION}`);
+  }
+
+  const { strings, numbers } = encoded;
+  const shapes = encoded.shapes.map(keys => keys.map(key => strings[key]));
+
+  const decode = value => {
+    if (typeof value === 'number') {
+      return value >= 0 ? strings[value] : numbers[-value - 1];
+    }
+    if (!Array.isArray(value)) {
+      return value;
+    }
+
+    const [tag, ...rest] = value;
+    if (tag === PLAIN_ARRAY) {
+      return rest.map(decode);
+    }
+    if (tag === COLUMNS) {
+      const [shape, length, ...columns] = rest;
+      return Array.from({ length }, (unused, row) => Object.fromEntries(shapes[shape].flatMap((key, column) => {
+        const cell = columns[column][row];
+        return isMissing(cell) ? [] : [[key, decode(cell)]];
+      })));
+    }
+    return Object.fromEntries(shapes[tag].map((key, index) => [key, decode(rest[index])]));
+  };
+
+  return decode(encoded.data);
+});
+
+/**
+ * Converts a value to what JSON.stringify would write: undefined object values are dropped, and
+ * non-finite numbers and undefined array items become null
+ * @param {*} value - Value
+ * @returns {*} - JSON value
+ */
+function toJsonValue(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Tells whether a column cell stands for a key the row does not have
+ * @param {*} cell - Encoded cell
+ * @returns {boolean} - True for the empty object that marks a missing key
+ */
+function isMissing(cell) {
+  return cell !== null && typeof cell === 'object' && !Array.isArray(cell);
+}
+
+/**
+ * Counts the strings (values and object keys) and numbers of a JSON value
+ * @param {*} value - JSON value
+ * @param {object} counts - { strings: Map, numbers: Map } of value to count
+ */
+function countValues(value, counts) {
+  const add = (map, item) => map.set(item, (map.get(item) || 0) + 1);
+  if (typeof value === 'string') {
+    add(counts.strings, value);
+  } else if (typeof value === 'number') {
+    add(counts.numbers, value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => countValues(item, counts));
+  } else if (value !== null && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => {
+      add(counts.strings, key);
+      countValues(item, counts);
+    });
+  }
+}
+
+/**
+ * Orders the values of a count map, most frequent first
+ * @param {Map} counts - Value to count
+ * @returns {Array} - Values
+ */
+function rankByCount(counts) {
+  return [...counts].sort((a, b) => b[1] - a[1]).map(([value]) => value);
+}
+
+/**
+ * Gets the keys of an array of objects when it can be stored column by column: every item is an object,
+ * and a single key order holds every item's keys in their own order
+ * @param {Array} items - Array
+ * @returns {string[]|null} - Column keys, or null when the array is stored item by item
+ */
+function getColumnKeys(items) {
+  if (items.length < MIN_COLUMN_ROWS || !items.every(item => item !== null && typeof item === 'object' && !Array.isArray(item))) {
+    return null;
+  }
+
+  // New keys go right after the key that precedes them in the item that brings them in
+  const columns = [];
+  items.forEach(item => {
+    let position = -1;
+    Object.keys(item).forEach(key => {
+      const index = columns.indexOf(key);
+      if (index === -1) {
+        columns.splice(position + 1, 0, key);
+        position += 1;
+      } else {
+        position = Math.max(position, index);
+      }
+    });
+  });
+
+  // Decoding fills keys in column order, so every item must list its keys in that order
+  const order = new Map(columns.map((key, index) => [key, index]));
+  const ordered = items.every(item => Object.keys(item).every((key, index, keys) => index === 0 || order.get(keys[index - 1]) < order.get(key)));
+  return ordered ? columns : null;
+}
+
+export default {
+  COMPACT_FORMAT,
+  encodeManifest,
+  decodeManifest,
+};
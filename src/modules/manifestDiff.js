@@ -0,0 +1,436 @@
+import { trace } from '../logger.js';
+import { optimizeForLLM } from './manifestBuilder.js';
+
+/**
+ * Compares the symbols of two manifests, file by file. A full-format manifest compared with an
+ * LLM-optimized one is optimized first, so the formats' differences are not reported as changes.
+ * @param {object} previousManifest - Earlier manifest
+ * @param {object} nextManifest - Later manifest
+ * @returns {object} - { added, removed, changed }, each a list of { file, name, type }
+ */
+export const diffSymbols = trace(function diffSymbols(previousManifest, nextManifest) {
+  const [previous, next] = matchFormats(previousManifest, nextManifest);
+  const previousFiles = new Map(previous.files.map(file => [file.path, file]));
+  const nextFiles = new Map(next.files.map(file => [file.path, file]));
+  const paths = [...new Set([...previousFiles.keys(), ...nextFiles.keys()])].sort();
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  paths.forEach(filePath => {
+    const before = indexSymbols(previousFiles.get(filePath));
+    const after = indexSymbols(nextFiles.get(filePath));
+
+    after.forEach(({ symbol, signature }, key) => {
+      const entry = { file: filePath, name: symbol.name, type: symbol.type };
+      if (!before.has(key)) {
+        added.push(entry);
+      } else if (before.get(key).signature !== signature) {
+        changed.push(entry);
+      }
+    });
+    before.forEach(({ symbol }, key) => {
+      if (!after.has(key)) {
+        removed.push({ file: filePath, name: symbol.name, type: symbol.type });
+      }
+    });
+  });
+
+  return { added, removed, changed };
+});
+
+/**
+ * Compares two manifests for review: files, symbols, signatures and dependencies, with breaking
+ * changes to the exported API listed separately. Formats are matched as in diffSymbols.
+ * @param {object} previousManifest - Base manifest
+ * @param {object} nextManifest - Changed manifest
+ * @returns {object} - { summary, files, symbols, dependencies, breaking }
+ */
+export const diffManifests = trace(function diffManifests(previousManifest, nextManifest) {
+  const [previous, next] = matchFormats(previousManifest, nextManifest);
+  const previousFiles = new Map(previous.files.map(file => [file.path, file]));
+  const nextFiles = new Map(next.files.map(file => [file.path, file]));
+  const paths = [...new Set([...previousFiles.keys(), ...nextFiles.keys()])].sort();
+
+  const files = { added: [], removed: [], modified: [] };
+  const symbols = { added: [], removed: [], modified: [] };
+  const dependencies = { added: [], removed: [] };
+  const breaking = [];
+
+  paths.forEach(filePath => {
+    const before = previousFiles.get(filePath);
+    const after = nextFiles.get(filePath);
+    const beforeSymbols = indexSymbols(before);
+    const afterSymbols = indexSymbols(after);
+    let fileChanged = Boolean(before && after && before.hash && after.hash && before.hash !== after.hash);
+
+    afterSymbols.forEach(({ symbol }, key) => {
+      if (!beforeSymbols.has(key)) {
+        symbols.added.push(describeSymbol(filePath, symbol));
+        fileChanged = true;
+      }
+    });
+
+    beforeSymbols.forEach(({ symbol, signature }, key) => {
+      const entry = describeSymbol(filePath, symbol);
+      if (!afterSymbols.has(key)) {
+        symbols.removed.push(entry);
+        fileChanged = true;
+        if (isExported(symbol)) {
+          breaking.push({ ...entry, reason: 'removed' });
+        }
+        return;
+      }
+
+      const { symbol: updated, signature: updatedSignature } = afterSymbols.get(key);
+      if (signature === updatedSignature) {
+        return;
+      }
+      fileChanged = true;
+      const changes = compareSymbols(symbol, updated);
+      symbols.modified.push({ ...describeSymbol(filePath, updated), changes });
+      if (isExported(symbol)) {
+        changes.filter(change => change.breaking).forEach(change => {
+          breaking.push({ ...entry, reason: describeChange(change) });
+        });
+      }
+    });
+
+    // Dependencies are compared by kind and specifier
+    const beforeDeps = new Map((before ? before.dependencies || [] : []).map(dep => [`${dep.type}:${dep.source}`, dep]));
+    const afterDeps = new Map((after ? after.dependencies || [] : []).map(dep => [`${dep.type}:${dep.source}`, dep]));
+    afterDeps.forEach((dep, key) => {
+      if (!beforeDeps.has(key)) {
+        dependencies.added.push({ file: filePath, source: dep.source, type: dep.type });
+        fileChanged = true;
+      }
+    });
+    beforeDeps.forEach((dep, key) => {
+      if (!afterDeps.has(key)) {
+        dependencies.removed.push({ file: filePath, source: dep.source, type: dep.type });
+        fileChanged = true;
+      }
+    });
+
+    if (!before) {
+      files.added.push(filePath);
+    } else if (!after) {
+      files.removed.push(filePath);
+    } else if (fileChanged) {
+      files.modified.push(filePath);
+    }
+  });
+
+  return {
+    summary: {
+      files: { added: files.added.length, removed: files.removed.length, modified: files.modified.length },
+      symbols: { added: symbols.added.length, removed: symbols.removed.length, modified: symbols.modified.length },
+      dependencies: { added: dependencies.added.length, removed: dependencies.removed.length },
+      breaking: breaking.length,
+    },
+    files,
+    symbols,
+    dependencies,
+    breaking,
+  };
+});
+
+/**
+ * Renders a manifest diff as Markdown for pull request descriptions
+ * @param {object} diff - Result of diffManifests
+ * @returns {string} - Markdown text
+ */
+export const formatDiffMarkdown = trace(function formatDiffMarkdown(diff) {
+  const { summary } = diff;
+  const lines = [
+    '## Manifest changes',
+    '',
+    '| | Added | Removed | Modified |',
+    '|---|---|---|---|',
+    `| Files | ${summary.files.added} | ${summary.files.removed} | ${summary.files.modified} |`,
+    `| Symbols | ${summary.symbols.added} | ${summary.symbols.removed} | ${summary.symbols.modified} |`,
+    `| Dependencies | ${summary.dependencies.added} | ${summary.dependencies.removed} | - |`,
+  ];
+
+  const section = (title, items) => {
+    if (items.length > 0) {
+      lines.push('', title, '', ...items);
+    }
+  };
+  const symbolLabel = item => `\`${item.file}\` — ${item.type} \`${item.name}\``;
+
+  section(`### ⚠️ Breaking changes (${diff.breaking.length})`, diff.breaking.map(item => `- ${symbolLabel(item)}: ${item.reason}`));
+
+  section('### Files', [
+    ...diff.files.added.map(file => `- Added \`${file}\``),
+    ...diff.files.removed.map(file => `- Removed \`${file}\``),
+    ...diff.files.modified.map(file => `- Modified \`${file}\``),
+  ]);
+
+  section('### Added symbols', diff.symbols.added.map(item => `- ${symbolLabel(item)}`));
+  section('### Removed symbols', diff.symbols.removed.map(item => `- ${symbolLabel(item)}`));
+  section('### Modified symbols', diff.symbols.modified.map(item => (
+    `- ${symbolLabel(item)}: ${item.changes.map(describeChange).join('; ')}`
+  )));
+
+  section('### Dependencies', [
+    ...diff.dependencies.added.map(dep => `- \`${dep.file}\`: added ${dep.type} \`${dep.source}\``),
+    ...diff.dependencies.removed.map(dep => `- \`${dep.file}\`: removed ${dep.type} \`${dep.source}\``),
+  ]);
+
+  return `${lines.join('\n')}\n`;
+});
+
+/**
+ * Lists what changed between two versions of a symbol
+ * @param {object} before - Earlier symbol
+ * @param {object} after - Later symbol
+ * @returns {object[]} - Changes as { what, before, after, breaking }, or { what, note, breaking } when
+ *   something was added or removed
+ */
+function compareSymbols(before, after) {
+  const changes = [];
+  const add = (what, from, to, breaking) => {
+    if (from === to) {
+      return;
+    }
+    if (from === undefined || to === undefined) {
+      changes.push({
+        what, note: from === undefined ? 'added' : 'removed', breaking,
+      });
+    } else {
+      changes.push({
+        what, before: from, after: to, breaking,
+      });
+    }
+  };
+
+  add('exported', before.exported || 'none', after.exported || 'none', isExported(before) && !isExported(after));
+
+  if (before.params || after.params) {
+    changes.push(...compareCallable('', before, after));
+  }
+
+  if (before.type === 'class') {
+    changes.push(...compareMembers('method', before.methods, after.methods, (from, to) => compareCallable(`method ${to.name} `, from, to)));
+    changes.push(...compareMembers('field', before.fields, after.fields, (from, to) => {
+      const fieldChanges = [];
+      if (from.type !== to.type) {
+        fieldChanges.push({
+          what: `field ${to.name} type`, before: from.type, after: to.type, breaking: true,
+        });
+      }
+      return fieldChanges;
+    }));
+    add('extends', before.extends || 'nothing', after.extends || 'nothing', true);
+  } else if (before.type === 'interface') {
+    changes.push(...compareMembers('member', before.members, after.members, (from, to) => {
+      const memberChanges = [];
+      const fromText = formatMember(from);
+      const toText = formatMember(to);
+      if (fromText !== toText) {
+        memberChanges.push({
+          what: `member ${to.name}`, before: fromText, after: toText, breaking: true,
+        });
+      }
+      return memberChanges;
+    }, member => !member.optional));
+  } else if (before.type === 'enum') {
+    changes.push(...compareMembers('member', before.members, after.members, (from, to) => {
+      const memberChanges = [];
+      if (JSON.stringify(from.value) !== JSON.stringify(to.value)) {
+        memberChanges.push({
+          what: `member ${to.name} value`, before: JSON.stringify(from.value), after: JSON.stringify(to.value), breaking: true,
+        });
+      }
+      return memberChanges;
+    }, () => false));
+  }
+
+  add('definition', before.definition, after.definition, true);
+  add('value type', before.valueType, after.valueType, true);
+  add('source', before.source, after.source, false);
+  add('local name', before.localName, after.localName, false);
+  add('doc', before.doc, after.doc, false);
+
+  // Anything else, such as namespace members or locals
+  if (changes.length === 0) {
+    changes.push({ what: 'details', note: 'changed', breaking: false });
+  }
+  return changes;
+}
+
+/**
+ * Compares the parameters and return type of two functions or methods
+ * @param {string} prefix - Label prefix, such as "method greet "
+ * @param {object} before - Earlier function
+ * @param {object} after - Later function
+ * @returns {object[]} - Changes
+ */
+function compareCallable(prefix, before, after) {
+  const changes = [];
+  const beforeParams = before.params || [];
+  const afterParams = after.params || [];
+  const fromText = formatParams(beforeParams);
+  const toText = formatParams(afterParams);
+
+  if (fromText !== toText) {
+    // Callers break when a parameter goes away, changes type or becomes required
+    const isRequired = param => !param.optional && !param.hasDefault;
+    const breaking = afterParams.length < beforeParams.length
+      || afterParams.some((param, index) => {
+        const old = beforeParams[index];
+        return old ? old.type !== param.type || (!isRequired(old) && isRequired(param)) : isRequired(param);
+      });
+    changes.push({
+      what: `${prefix}params`, before: fromText, after: toText, breaking,
+    });
+  }
+
+  if ((before.returnType || 'any') !== (after.returnType || 'any')) {
+    changes.push({
+      what: `${prefix}returns`, before: before.returnType || 'any', after: after.returnType || 'any', breaking: true,
+    });
+  }
+  return changes;
+}
+
+/**
+ * Compares named members, such as class methods or interface members
+ * @param {string} label - Member kind for change labels
+ * @param {object[]} [beforeMembers] - Earlier members
+ * @param {object[]} [afterMembers] - Later members
+ * @param {Function} compare - Lists the changes of a member present in both
+ * @param {Function} [addedIsBreaking] - Whether a new member breaks existing code (default never)
+ * @returns {object[]} - Changes
+ */
+function compareMembers(label, beforeMembers, afterMembers, compare, addedIsBreaking = () => false) {
+  const changes = [];
+  const beforeByName = new Map((beforeMembers || []).map(member => [member.name, member]));
+  const afterByName = new Map((afterMembers || []).map(member => [member.name, member]));
+
+  afterByName.forEach((member, name) => {
+    if (!beforeByName.has(name)) {
+      changes.push({ what: `${label} ${name}`, note: 'added', breaking: addedIsBreaking(member) });
+    } else {
+      changes.push(...compare(beforeByName.get(name), member));
+    }
+  });
+  beforeByName.forEach((member, name) => {
+    // Private members are not part of the API
+    if (!afterByName.has(name)) {
+      changes.push({ what: `${label} ${name}`, note: 'removed', breaking: !name.startsWith('#') });
+    }
+  });
+  return changes;
+}
+
+/**
+ * Brings two manifests to the same format: a full-format one is LLM-optimized when the other is
+ * @param {object} previous - Earlier manifest
+ * @param {object} next - Later manifest
+ * @returns {object[]} - [previous, next]
+ */
+function matchFormats(previous, next) {
+  // Only buildManifest output, which optimizeForLLM leaves out, records the root path
+  const isFull = manifest => Boolean(manifest.rootPath);
+  if (isFull(previous) === isFull(next)) {
+    return [previous, next];
+  }
+  return [previous, next].map(manifest => (isFull(manifest) ? optimizeForLLM(manifest) : manifest));
+}
+
+/**
+ * Describes one change for reports
+ * @param {object} change - Change from compareSymbols
+ * @returns {string} - Text such as "params `(a)` → `(a, b)`"
+ */
+function describeChange(change) {
+  if (change.note) {
+    return `${change.what} ${change.note}`;
+  }
+  return `${change.what} \`${change.before}\` → \`${change.after}\``;
+}
+
+/**
+ * Formats a parameter list
+ * @param {object[]} params - Parameters
+ * @returns {string} - Text such as "(a: string, b?: number)"
+ */
+function formatParams(params) {
+  return `(${params.map(param => `${param.name}${param.optional || param.hasDefault ? '?' : ''}: ${param.type || 'any'}`).join(', ')})`;
+}
+
+/**
+ * Formats an interface member
+ * @param {object} member - Member
+ * @returns {string} - Text such as "name?: string"
+ */
+function formatMember(member) {
+  if (member.params) {
+    return `${member.name}${formatParams(member.params)}: ${member.returnType || 'any'}`;
+  }
+  return `${member.readonly ? 'readonly ' : ''}${member.name}${member.optional ? '?' : ''}: ${member.type || 'any'}`;
+}
+
+/**
+ * Describes a symbol for reports
+ * @param {string} file - File path
+ * @param {object} symbol - Symbol
+ * @returns {object} - { file, name, type, exported }
+ */
+function describeSymbol(file, symbol) {
+  return {
+    file,
+    name: symbol.name,
+    type: symbol.type,
+    exported: symbol.exported || 'none',
+  };
+}
+
+/**
+ * Checks whether a symbol is part of the module's exported API
+ * @param {object} symbol - Symbol
+ * @returns {boolean} - True if exported
+ */
+function isExported(symbol) {
+  return Boolean(symbol.exported) && symbol.exported !== 'none';
+}
+
+/**
+ * Indexes the symbols of a file by type and name
+ * @param {object} [file] - File manifest
+ * @returns {Map} - Key to { symbol, signature }; repeated names get a numbered key
+ */
+function indexSymbols(file) {
+  const index = new Map();
+  if (!file) {
+    return index;
+  }
+
+  file.symbols.forEach(symbol => {
+    const baseKey = `${symbol.type}:${symbol.name}`;
+    let key = baseKey;
+    for (let count = 2; index.has(key); count++) {
+      key = `${baseKey}#${count}`;
+    }
+    index.set(key, { symbol, signature: getSignature(symbol) });
+  });
+  return index;
+}
+
+/**
+ * Serializes a symbol without its source position, so moving code is not a change
+ * @param {object} symbol - Symbol object
+ * @returns {string} - Comparable text
+ */
+function getSignature(symbol) {
+  return JSON.stringify(symbol, (key, value) => (key === 'loc' ? undefined : value));
+}
+
+export default {
+  diffSymbols,
+  diffManifests,
+  formatDiffMarkdown,
+};
@@ -0,0 +1,212 @@
+import micromatch from 'micromatch';
+import { trace } from '../logger.js';
+import { UserInputError } from '../errors.js';
+import { formatSymbolSignature, formatMethodSignature, formatImports } from './signatureWriter.js';
+import { getCallNodeFile } from './callGraph.js';
+
+/**
+ * Questions the query command answers, as "kind:pattern"; patterns are names or globs
+ */
+export const QUERY_KINDS = {
+  symbol: 'symbols with a matching name, including class methods and namespace members',
+  methods: 'methods of the matching classes',
+  importers: 'files that import the matching files',
+  params: 'functions and methods with a parameter of a matching type',
+  'callers-of': 'functions and methods that call the matching ones, directly or through others',
+  'callees-of': 'functions and methods the matching ones call, directly or through others',
+};
+
+/**
+ * Parses a query expression such as "methods:Person"; an expression without a kind finds symbols
+ * @param {string} expression - Query expression
+ * @returns {object} - { kind, pattern }
+ */
+export const parseQuery = trace(function parseQuery(expression) {
+  const match = /^([a-z-]+):(.*)$/.exec(expression);
+  const kind = match ? match[1] : 'symbol';
+  const pattern = (match ? match[2] : expression).trim();
+
+  if (!QUERY_KINDS[kind]) {
+    throw new UserInputError(`Unknown query "${kind}"; expected one of: ${Object.keys(QUERY_KINDS).join(', ')}`);
+  }
+  if (pattern.length === 0) {
+    throw new UserInputError(`Query "${kind}:" needs a name or glob pattern`);
+  }
+  return { kind, pattern };
+});
+
+/**
+ * Runs a query against a manifest (full or LLM-optimized, with resolved dependencies for importers)
+ * @param {object} manifest - Manifest as returned by readManifest
+ * @param {object} query - Result of parseQuery
+ * @returns {object} - { query, matches }; every match has the manifest `path` of its file, plus the `symbol`
+ *   (and `within`, its enclosing namespace or function), or the `class` and `method` for class methods, or the
+ *   `dependency` for importers, or for calls the `caller` name in that file, the `callee` node id, the call
+ *   `type` and the `depth` of the call from the matching functions (1 for direct calls)
+ */
+export const runQuery = trace(function runQuery(manifest, query) {
+  const { kind, pattern } = query;
+  const isMatch = value => typeof value === 'string' && micromatch.isMatch(value, pattern);
+  let matches;
+
+  if (kind === 'symbol') {
+    matches = listSymbols(manifest).filter(entry => {
+      const { name } = entry.symbol || entry.method;
+      const within = entry.within || entry.class;
+      return isMatch(name) || (within && isMatch(`${within}.${name}`));
+    });
+  } else if (kind === 'methods') {
+    matches = listSymbols(manifest).filter(entry => entry.method && isMatch(entry.class));
+  } else if (kind === 'importers') {
+    // A bare file name matches in any directory
+    const isFileMatch = filePath => micromatch.isMatch(filePath, pattern) || micromatch.isMatch(filePath, `**/${pattern}`);
+    matches = manifest.files.flatMap(file => (file.dependencies || [])
+      .filter(dependency => dependency.resolved && dependency.resolved.kind === 'file' && isFileMatch(dependency.resolved.path))
+      .map(dependency => ({ path: file.path, dependency })));
+  } else if (kind === 'params') {
+    const takesType = callable => (callable.params || [])
+      .some(param => getParamTypes(param).some(type => getTypeNames(type).some(isMatch)));
+    matches = listSymbols(manifest).filter(entry => takesType(entry.symbol || entry.method));
+  } else {
+    // Functions match by name ("greet"), qualified name ("Person.greet") or node id
+    const isCallMatch = id => {
+      const name = id.slice(id.lastIndexOf('#') + 1);
+      return isMatch(id) || isMatch(name) || isMatch(name.slice(name.lastIndexOf('.') + 1));
+    };
+    matches = walkCalls(manifest, isCallMatch, kind === 'callers-of');
+  }
+
+  return { query, matches };
+});
+
+/**
+ * Formats query results compactly, one match per line, with declarations written as in the signature sheet
+ * @param {object} result - Result of runQuery
+ * @returns {string} - Text with a trailing newline, or a "no matches" line
+ */
+export const formatQueryResult = trace(function formatQueryResult(result) {
+  const { query, matches } = result;
+  if (matches.length === 0) {
+    return `No matches for ${query.kind}:${query.pattern}\n`;
+  }
+
+  const lines = matches.flatMap(match => {
+    if (match.method) {
+      return [`${match.path}: ${match.class}.${formatMethodSignature(match.method)}`];
+    }
+    if (match.dependency) {
+      return [`${match.path}: ${formatImports([match.dependency])}`];
+    }
+    if (match.callee) {
+      // Calls further away are indented by how far
+      const indent = '  '.repeat(match.depth - 1);
+      return [`${indent}${match.path}: ${match.caller} → ${match.callee}${match.type === 'new' ? ' (new)' : ''}`];
+    }
+    const [first, ...rest] = formatSymbolSignature(match.symbol);
+    const label = match.within ? `${match.path} (${match.within})` : match.path;
+    return [`${label}: ${first}`, ...rest.map(line => `  ${line}`)];
+  });
+  return `${lines.join('\n')}\n`;
+});
+
+/**
+ * Lists every symbol of a manifest with its file, including namespace members, nested locals and class methods
+ * @param {object} manifest - Manifest
+ * @returns {object[]} - { path, symbol, within } or, for methods, { path, class, method }
+ */
+function listSymbols(manifest) {
+  const listed = [];
+  const visit = (filePath, symbol, within) => {
+    listed.push({ path: filePath, symbol, ...(within && { within }) });
+    const qualified = within ? `${within}.${symbol.name}` : symbol.name;
+    if (symbol.type === 'namespace') {
+      (symbol.members || []).forEach(member => visit(filePath, member, qualified));
+    }
+    (symbol.locals || []).forEach(local => visit(filePath, local, qualified));
+    if (symbol.type === 'class') {
+      (symbol.methods || []).forEach(method => listed.push({ path: filePath, class: qualified, method }));
+    }
+  };
+
+  manifest.files.forEach(file => {
+    file.symbols.forEach(symbol => visit(file.path, symbol, null));
+  });
+  return listed;
+}
+
+/**
+ * Walks the call graph from the matching functions, breadth first, listing each call on the way once
+ * @param {object} manifest - Manifest with a `calls` graph
+ * @param {Function} isStart - Tells whether a node id matches the query
+ * @param {boolean} toCallers - Walk to callers rather than callees
+ * @returns {object[]} - { path, caller, callee, type, depth } for each call edge reached
+ */
+function walkCalls(manifest, isStart, toCallers) {
+  if (!manifest.calls) {
+    throw new UserInputError('The manifest has no call graph; extract it again with this version to query calls');
+  }
+
+  const { nodes, edges } = manifest.calls;
+  const next = new Map();
+  edges.forEach(edge => {
+    const from = toCallers ? edge.to : edge.from;
+    if (!next.has(from)) {
+      next.set(from, []);
+    }
+    next.get(from).push(edge);
+  });
+
+  const matches = [];
+  let frontier = nodes.map(node => node.id).filter(isStart);
+  const visited = new Set(frontier);
+  for (let depth = 1; frontier.length > 0; depth += 1) {
+    const reached = [];
+    frontier.forEach(id => {
+      (next.get(id) || []).forEach(edge => {
+        matches.push({
+          path: getCallNodeFile(edge.from),
+          caller: edge.from.slice(edge.from.lastIndexOf('#') + 1),
+          callee: edge.to,
+          type: edge.type,
+          depth,
+        });
+        const other = toCallers ? edge.from : edge.to;
+        if (!visited.has(other)) {
+          visited.add(other);
+          reached.push(other);
+        }
+      });
+    });
+    frontier = reached;
+  }
+  return matches;
+}
+
+/**
+ * Gets the types a parameter declares, including those of destructured properties and elements
+ * @param {object} param - Parameter
+ * @returns {string[]} - Type strings
+ */
+function getParamTypes(param) {
+  return [
+    param.type,
+    ...(param.properties || []).flatMap(getParamTypes),
+    ...(param.elements || []).filter(Boolean).flatMap(getParamTypes),
+  ].filter(type => type && type !== 'any');
+}
+
+/**
+ * Splits a type into the names it mentions, so "Promise<Config[]> | null" matches Promise, Config and null
+ * @param {string} type - Type string
+ * @returns {string[]} - Type names, with dotted names such as "React.Node" kept whole
+ */
+function getTypeNames(type) {
+  return [type, ...(type.match(/[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*/g) || [])];
+}
+
+export default {
+  QUERY_KINDS,
+  parseQuery,
+  runQuery,
+  formatQueryResult,
+};
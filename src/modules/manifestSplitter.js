@@ -0,0 +1,346 @@
+import path from 'path';
+import { trace } from '../logger.js';
+import { UserInputError } from '../errors.js';
+import { buildDependencyGraph, findStronglyConnectedComponents } from './graph.js';
+import { getImportedNames } from './analyzer.js';
+import { getCallNodeFile } from './callGraph.js';
+import { estimateManifestTokens } from './tokenBudget.js';
+
+/**
+ * Ways files can be grouped into chunks: by directory, or by strongly connected components
+ * of the dependency graph, so files that import each other in a cycle stay together
+ */
+export const SPLIT_GROUPINGS = ['directory', 'scc'];
+
+/**
+ * Estimated tokens per chunk unless --chunk-tokens is given
+ */
+export const DEFAULT_CHUNK_TOKENS = 25000;
+
+// Exported symbols listed per chunk in the index
+const MAX_TOP_EXPORTS = 10;
+
+/**
+ * Splits a manifest into chunks of bounded size, plus an index describing them
+ * @param {object} manifest - Manifest to split (full or LLM-optimized)
+ * @param {object} [options] - Split options
+ * @param {number} [options.maxTokens] - Estimated tokens per chunk; a single file larger than this gets a chunk of its own
+ * @param {string} [options.by] - Grouping, one of SPLIT_GROUPINGS (default 'directory')
+ * @param {Function} [options.getChunkName] - Takes a chunk number (from 1) and returns the name the index refers to it by
+ * @returns {object} - { index, chunks: manifests with the same top-level fields as the input }
+ */
+export const splitManifest = trace(function splitManifest(manifest, options = {}) {
+  const {
+    maxTokens = DEFAULT_CHUNK_TOKENS,
+    by = 'directory',
+    getChunkName = number => `chunk-${number}`,
+  } = options;
+  if (!SPLIT_GROUPINGS.includes(by)) {
+    throw new UserInputError(`Unknown split grouping "${by}"; expected one of: ${SPLIT_GROUPINGS.join(', ')}`);
+  }
+
+  const groups = by === 'scc' ? groupByComponent(manifest) : groupByDirectory(manifest);
+  const fileGroups = packGroups(groups, getFileCosts(manifest), maxTokens);
+
+  const {
+    files, graph, calls, diagnostics, stats, ...shared
+  } = manifest;
+  const chunkOf = new Map();
+  fileGroups.forEach((chunkFiles, index) => {
+    chunkFiles.forEach(file => chunkOf.set(toPosix(file.path), index + 1));
+  });
+
+  const chunks = fileGroups.map((chunkFiles, index) => {
+    const ids = new Set(chunkFiles.map(file => toPosix(file.path)));
+    const chunk = {
+      ...shared,
+      chunk: { number: index + 1, of: fileGroups.length },
+      files: chunkFiles,
+    };
+    if (graph) {
+      const edges = graph.edges.filter(edge => ids.has(edge.from));
+      const linked = new Set([...ids, ...edges.map(edge => edge.to)]);
+      chunk.graph = { nodes: graph.nodes.filter(node => linked.has(node.id)), edges };
+    }
+    // A chunk lists the calls its files make
+    if (calls) {
+      const edges = calls.edges.filter(edge => ids.has(getCallNodeFile(edge.from)));
+      const linked = new Set(edges.flatMap(edge => [edge.from, edge.to]));
+      chunk.calls = { nodes: calls.nodes.filter(node => linked.has(node.id)), edges };
+    }
+    const chunkDiagnostics = (diagnostics || []).filter(diagnostic => ids.has(toPosix(diagnostic.path)));
+    if (chunkDiagnostics.length > 0) {
+      chunk.diagnostics = chunkDiagnostics;
+    }
+    return chunk;
+  });
+
+  const importCounts = countImports(manifest);
+  const index = {
+    ...shared,
+    split: { by, maxTokens },
+    chunks: chunks.map(chunk => ({
+      name: getChunkName(chunk.chunk.number),
+      number: chunk.chunk.number,
+      tokens: estimateManifestTokens(chunk),
+      files: chunk.files.map(file => file.path),
+      topExports: getTopExports(chunk.files, importCounts),
+    })),
+    edges: getCrossChunkEdges(graph, chunkOf),
+  };
+  if (stats) {
+    index.stats = stats;
+  }
+  if (diagnostics && diagnostics.length > 0) {
+    index.diagnostics = diagnostics;
+  }
+
+  return { index, chunks };
+});
+
+/**
+ * Joins the chunks of a split manifest back into one manifest
+ * @param {object} index - Index from splitManifest
+ * @param {object[]} chunks - Chunks in index order
+ * @returns {object} - Manifest with the files, graph and calls of every chunk
+ */
+export const joinChunks = trace(function joinChunks(index, chunks) {
+  const {
+    split, chunks: chunkList, edges, diagnostics, stats, ...shared
+  } = index;
+  const manifest = {
+    ...shared,
+    files: chunks.flatMap(chunk => chunk.files),
+  };
+  if (chunks.some(chunk => chunk.graph)) {
+    manifest.graph = joinSections(chunks.map(chunk => chunk.graph));
+  }
+  if (chunks.some(chunk => chunk.calls)) {
+    manifest.calls = joinSections(chunks.map(chunk => chunk.calls));
+  }
+  if (diagnostics) {
+    manifest.diagnostics = diagnostics;
+  }
+  if (stats) {
+    manifest.stats = stats;
+  }
+  return manifest;
+});
+
+/**
+ * Groups files by the directory they are in
+ * @param {object} manifest - Manifest
+ * @returns {object[][]} - Groups of file manifests, ordered by directory
+ */
+function groupByDirectory(manifest) {
+  const groups = new Map();
+  manifest.files.forEach(file => {
+    const dir = path.dirname(file.path);
+    if (!groups.has(dir)) {
+      groups.set(dir, []);
+    }
+    groups.get(dir).push(file);
+  });
+  return [...groups.keys()].sort().map(dir => groups.get(dir));
+}
+
+/**
+ * Groups files by strongly connected component of the dependency graph; files outside any
+ * import cycle form groups of one
+ * @param {object} manifest - Manifest with a `graph` section
+ * @returns {object[][]} - Groups of file manifests, ordered by their first path
+ */
+function groupByComponent(manifest) {
+  const filesById = new Map(manifest.files.map(file => [toPosix(file.path), file]));
+  const graph = buildDependencyGraph(manifest, { includeExternals: false });
+  const grouped = new Set();
+
+  const groups = findStronglyConnectedComponents([...graph.nodes.keys()], graph.edges)
+    .map(component => component.filter(id => filesById.has(id)).sort())
+    .filter(component => component.length > 0)
+    .map(component => {
+      component.forEach(id => grouped.add(id));
+      return component.map(id => filesById.get(id));
+    });
+
+  // Without a graph (e.g. --exports-only), every file is a component of its own
+  filesById.forEach((file, id) => {
+    if (!grouped.has(id)) {
+      groups.push([file]);
+    }
+  });
+
+  // Neighbouring paths usually belong together, so keep them in nearby chunks
+  return groups.sort((a, b) => a[0].path.localeCompare(b[0].path));
+}
+
+/**
+ * Estimates what each file adds to a chunk: its manifest entry and the graph and call graph edges and nodes
+ * that go with it
+ * @param {object} manifest - Manifest
+ * @returns {Map} - File manifest to estimated tokens
+ */
+function getFileCosts(manifest) {
+  const graph = manifest.graph || { nodes: [], edges: [] };
+  const calls = manifest.calls || { nodes: [], edges: [] };
+  const nodesById = new Map([...graph.nodes, ...calls.nodes].map(node => [node.id, node]));
+  const edgesFrom = new Map();
+  const addEdge = (fileId, edge) => {
+    if (!edgesFrom.has(fileId)) {
+      edgesFrom.set(fileId, []);
+    }
+    edgesFrom.get(fileId).push(edge);
+  };
+  graph.edges.forEach(edge => addEdge(edge.from, edge));
+  calls.edges.forEach(edge => addEdge(getCallNodeFile(edge.from), edge));
+
+  return new Map(manifest.files.map(file => {
+    const id = toPosix(file.path);
+    const edges = edgesFrom.get(id) || [];
+    const nodeIds = new Set([id, ...edges.flatMap(edge => [edge.from, edge.to])]);
+    const nodes = [...nodeIds].map(nodeId => nodesById.get(nodeId)).filter(Boolean);
+    return [file, estimateManifestTokens({ file, nodes, edges })];
+  }));
+}
+
+/**
+ * Packs groups into chunks in order, starting a new chunk when the next group does not fit;
+ * groups larger than a chunk are split file by file
+ * @param {object[][]} groups - Groups of file manifests
+ * @param {Map} fileCosts - Estimated tokens of each file (see getFileCosts)
+ * @param {number} maxTokens - Estimated tokens per chunk
+ * @returns {object[][]} - Files of each chunk
+ */
+function packGroups(groups, fileCosts, maxTokens) {
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  const add = (files, tokens) => {
+    if (current.length > 0 && currentTokens + tokens > maxTokens) {
+      chunks.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(...files);
+    currentTokens += tokens;
+  };
+
+  groups.forEach(group => {
+    const costs = group.map(file => fileCosts.get(file));
+    const groupTokens = costs.reduce((sum, cost) => sum + cost, 0);
+    if (groupTokens <= maxTokens) {
+      add(group, groupTokens);
+    } else {
+      group.forEach((file, i) => add([file], costs[i]));
+    }
+  });
+
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Counts how many files import each exported name
+ * @param {object} manifest - Manifest with resolved dependencies
+ * @returns {Map} - "path\0name" to the number of importing files
+ */
+function countImports(manifest) {
+  const counts = new Map();
+  manifest.files.forEach(file => {
+    (file.dependencies || []).forEach(dependency => {
+      const names = dependency.resolved && dependency.resolved.kind === 'file' ? getImportedNames(dependency) : null;
+      (names || []).forEach(name => {
+        const key = `${dependency.resolved.path}\u0000${name}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+      });
+    });
+  });
+  return counts;
+}
+
+/**
+ * Lists the most imported exported symbols of a chunk's files
+ * @param {object[]} files - File manifests of the chunk
+ * @param {Map} importCounts - Result of countImports
+ * @returns {object[]} - { name, file, importers }, most imported first
+ */
+function getTopExports(files, importCounts) {
+  const exports = new Map();
+  files.forEach(file => {
+    file.symbols
+      .filter(symbol => symbol.exported && symbol.exported !== 'none' && symbol.type !== 'exportAll')
+      .forEach(symbol => {
+        // `export { foo }` repeats the declaration of foo
+        const key = `${toPosix(file.path)}\u0000${symbol.exported === 'default' ? 'default' : symbol.name}`;
+        if (!exports.has(key)) {
+          exports.set(key, { name: symbol.name, file: file.path, importers: importCounts.get(key) || 0 });
+        }
+      });
+  });
+
+  return [...exports.values()]
+    .sort((a, b) => b.importers - a.importers || a.file.localeCompare(b.file) || a.name.localeCompare(b.name))
+    .slice(0, MAX_TOP_EXPORTS);
+}
+
+/**
+ * Aggregates the graph edges between files of different chunks
+ * @param {object|undefined} graph - Manifest graph section
+ * @param {Map} chunkOf - File node id to chunk number
+ * @returns {object[]} - { from, to, imports } with chunk numbers and the number of file edges
+ */
+function getCrossChunkEdges(graph, chunkOf) {
+  const edges = new Map();
+  (graph ? graph.edges : []).forEach(edge => {
+    const from = chunkOf.get(edge.from);
+    const to = chunkOf.get(edge.to);
+    if (from === undefined || to === undefined || from === to) {
+      return;
+    }
+    const key = `${from}->${to}`;
+    if (!edges.has(key)) {
+      edges.set(key, { from, to, imports: 0 });
+    }
+    edges.get(key).imports += 1;
+  });
+  return [...edges.values()].sort((a, b) => a.from - b.from || a.to - b.to);
+}
+
+/**
+ * Joins the graph or call graph sections of several chunks; nodes shared between chunks are kept once
+ * @param {object[]} sections - Sections with `nodes` and `edges` (missing ones are skipped)
+ * @returns {object} - { nodes, edges }
+ */
+function joinSections(sections) {
+  const nodes = new Map();
+  const edges = [];
+  sections.filter(Boolean).forEach(section => {
+    section.nodes.forEach(node => {
+      if (!nodes.has(node.id)) {
+        nodes.set(node.id, node);
+      }
+    });
+    // Each chunk holds the edges from its own files, so no edge appears twice
+    edges.push(...section.edges);
+  });
+  return { nodes: [...nodes.values()], edges };
+}
+
+/**
+ * Converts a path to forward slashes, as used by graph node ids
+ * @param {string} filePath - Path
+ * @returns {string} - POSIX-style path
+ */
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+export default {
+  SPLIT_GROUPINGS,
+  DEFAULT_CHUNK_TOKENS,
+  splitManifest,
+  joinChunks,
+};
@@ -0,0 +1,248 @@
+import path from 'path';
+import micromatch from 'micromatch';
+import { trace } from '../logger.js';
+import { UserInputError } from '../errors.js';
+import { readFile } from './fileSystem.js';
+import { parseFile } from './parser.js';
+import { getFileParserOptions } from './config.js';
+import { parseQuery, runQuery, formatQueryResult } from './manifestQuery.js';
+import { formatSymbolSignature, formatImports } from './signatureWriter.js';
+
+// Longest snippet returned by get_source_snippet, in lines
+const MAX_SNIPPET_LINES = 400;
+
+/**
+ * Creates the tools the serve command offers over the Model Context Protocol
+ * @param {Function} getIndex - Returns the current { manifest: full manifest with resolved dependencies, config }
+ * @returns {object[]} - Tools for createMcpServer
+ */
+export const createManifestTools = trace(function createManifestTools(getIndex) {
+  const requireFile = filePath => {
+    if (typeof filePath !== 'string' || filePath.length === 0) {
+      throw new UserInputError('"path" must be a file path as listed by list_files');
+    }
+    const wanted = toPosix(path.normalize(filePath));
+    const file = getIndex().manifest.files.find(candidate => toPosix(candidate.path) === wanted);
+    if (!file) {
+      throw new UserInputError(`Unknown file ${filePath}; list_files shows the files of the project`);
+    }
+    return file;
+  };
+
+  return [
+    {
+      name: 'list_files',
+      description: 'Lists the project\'s source files with their symbol counts and exported names',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          pattern: { type: 'string', description: 'Glob the paths must match, e.g. "src/api/**"' },
+        },
+      },
+      handler: ({ pattern }) => {
+        const files = getIndex().manifest.files.filter(file => !pattern || micromatch.isMatch(toPosix(file.path), pattern));
+        if (files.length === 0) {
+          return pattern ? `No files match ${pattern}` : 'The project has no source files';
+        }
+        return files.map(file => {
+          const exported = file.symbols
+            .filter(symbol => symbol.exported && symbol.exported !== 'none' && symbol.type !== 'exportAll')
+            .map(symbol => (symbol.exported === 'default' ? `default (${symbol.name})` : symbol.name));
+          return `${toPosix(file.path)}: ${file.symbols.length} symbols${exported.length > 0 ? `; exports ${exported.join(', ')}` : ''}`;
+        }).join('\n');
+      },
+    },
+    {
+      name: 'get_file_symbols',
+      description: 'Shows the declarations of a file as TypeScript-like signatures with their line ranges',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'File path as listed by list_files' },
+        },
+        required: ['path'],
+      },
+      handler: ({ path: filePath }) => {
+        const file = requireFile(filePath);
+        const lines = file.symbols.flatMap(symbol => {
+          const [first, ...rest] = formatSymbolSignature(symbol);
+          return [`${formatLines(symbol.loc)}${first}`, ...rest.map(line => `  ${line}`)];
+        });
+        return lines.length > 0 ? lines.join('\n') : `${filePath} declares no symbols`;
+      },
+    },
+    {
+      name: 'find_symbol',
+      description: 'Searches the project. The query is a name or glob ("get*", "Person.greet"), or one of '
+        + '"methods:<class>", "importers:<file>", "params:<type>", "callers-of:<function>" (what breaks if it '
+        + 'changes, through indirect callers too) and "callees-of:<function>"',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Query expression' },
+        },
+        required: ['query'],
+      },
+      handler: ({ query }) => {
+        if (typeof query !== 'string') {
+          throw new UserInputError('"query" must be a string');
+        }
+        return formatQueryResult(runQuery(getIndex().manifest, parseQuery(query))).trimEnd();
+      },
+    },
+    {
+      name: 'get_dependencies',
+      description: 'Lists what a file imports, resolved to project files and packages, and which files import it',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'File path as listed by list_files' },
+          direction: {
+            type: 'string',
+            enum: ['imports', 'importers', 'both'],
+            description: 'Which side of the dependency graph to list (default both)',
+          },
+        },
+        required: ['path'],
+      },
+      handler: ({ path: filePath, direction = 'both' }) => {
+        const file = requireFile(filePath);
+        const sections = [];
+        if (direction !== 'importers') {
+          const imports = (file.dependencies || []).map(dependency => `  ${formatImports([dependency])}${formatResolved(dependency.resolved)}`);
+          sections.push(`Imports:\n${imports.length > 0 ? imports.join('\n') : '  (none)'}`);
+        }
+        if (direction !== 'imports') {
+          const id = toPosix(file.path);
+          const importers = getIndex().manifest.files.flatMap(other => (other.dependencies || [])
+            .filter(dependency => dependency.resolved && dependency.resolved.kind === 'file' && dependency.resolved.path === id)
+            .map(dependency => `  ${toPosix(other.path)}: ${formatImports([dependency])}`));
+          sections.push(`Imported by:\n${importers.length > 0 ? importers.join('\n') : '  (none)'}`);
+        }
+        return sections.join('\n\n');
+      },
+    },
+    {
+      name: 'get_source_snippet',
+      description: 'Returns the exact source of a symbol ("name", "Class.method" or "Namespace.member"), '
+        + 'or of a line range, as the file is on disk now',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'File path as listed by list_files' },
+          symbol: { type: 'string', description: 'Symbol to show' },
+          startLine: { type: 'integer', minimum: 1, description: 'First line, when no symbol is given' },
+          endLine: { type: 'integer', minimum: 1, description: 'Last line (default: startLine)' },
+        },
+        required: ['path'],
+      },
+      handler: async ({
+        path: filePath, symbol, startLine, endLine,
+      }) => {
+        const { manifest, config } = getIndex();
+        const file = requireFile(filePath);
+        const absolutePath = path.resolve(manifest.rootPath, file.path);
+        const lines = (await readFile(absolutePath)).split(/\r?\n/);
+
+        let ranges;
+        if (symbol) {
+          // Parsed again so ranges match the file as it is now, even between index refreshes
+          const metadata = parseFile(lines.join('\n'), absolutePath, getFileParserOptions(config, absolutePath));
+          ranges = findSymbolLocations(metadata.symbols, symbol);
+          if (ranges.length === 0) {
+            throw new UserInputError(`${filePath} has no symbol named ${symbol}; get_file_symbols lists them`);
+          }
+        } else if (Number.isInteger(startLine) && startLine >= 1) {
+          ranges = [{ start: { line: startLine }, end: { line: Math.max(startLine, endLine || startLine) } }];
+        } else {
+          throw new UserInputError('Give either "symbol" or "startLine"');
+        }
+
+        return ranges.map(loc => {
+          const last = Math.min(loc.end.line, lines.length, loc.start.line + MAX_SNIPPET_LINES - 1);
+          const cut = last < loc.end.line ? `\n... (${loc.end.line - last} more lines)` : '';
+          return `${toPosix(file.path)}:${loc.start.line}-${last}\n${lines.slice(loc.start.line - 1, last).join('\n')}${cut}`;
+        }).join('\n\n');
+      },
+    },
+  ];
+});
+
+/**
+ * Finds the locations of symbols by name, searching namespace members, nested locals and class members
+ * @param {object[]} symbols - Symbols from parseFile
+ * @param {string} name - Name, or a dotted name such as "Person.greet"
+ * @returns {object[]} - Locations ({ start, end } with lines); overloads give several
+ */
+function findSymbolLocations(symbols, name) {
+  const found = [];
+  const visit = (symbol, qualified) => {
+    if (qualified === name && symbol.loc) {
+      found.push(symbol.loc);
+    }
+    [
+      ...(symbol.type === 'namespace' ? symbol.members || [] : []),
+      ...(symbol.locals || []),
+      ...(symbol.methods || []),
+      ...(symbol.fields || []),
+    ].forEach(member => visit(member, `${qualified}.${member.name}`));
+  };
+  symbols.forEach(symbol => visit(symbol, symbol.name));
+
+  // A bare member name is enough when it is unambiguous in the file
+  if (found.length === 0 && !name.includes('.')) {
+    const members = [];
+    const visitMembers = symbol => {
+      [...(symbol.members || []), ...(symbol.locals || []), ...(symbol.methods || []), ...(symbol.fields || [])]
+        .forEach(member => {
+          if (member.name === name && member.loc) {
+            members.push(member.loc);
+          }
+          visitMembers(member);
+        });
+    };
+    symbols.forEach(visitMembers);
+    return members;
+  }
+  return found;
+}
+
+/**
+ * Formats the line range of a symbol as a prefix
+ * @param {object} [loc] - Location
+ * @returns {string} - Text such as "L12-30 ", or an empty string without a location
+ */
+function formatLines(loc) {
+  if (!loc) {
+    return '';
+  }
+  return loc.start.line === loc.end.line ? `L${loc.start.line} ` : `L${loc.start.line}-${loc.end.line} `;
+}
+
+/**
+ * Describes what an import resolved to
+ * @param {object} [resolved] - Resolution result
+ * @returns {string} - Text such as " → utils/format.js" or " (package lodash)"
+ */
+function formatResolved(resolved) {
+  if (!resolved) {
+    return '';
+  }
+  if (resolved.kind === 'file') {
+    return ` → ${resolved.path}`;
+  }
+  return resolved.package ? ` (${resolved.kind} ${resolved.package})` : ` (${resolved.kind})`;
+}
+
+/**
+ * Converts a path to forward slashes, as used by graph node ids
+ * @param {string} filePath - Path
+ * @returns {string} - POSIX-style path
+ */
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+export default {
+  createManifestTools,
+};
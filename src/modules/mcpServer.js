@@ -0,0 +1,157 @@
+import readline from 'readline';
+import logger, { trace } from '../logger.js';
+import { AppError, UserInputError } from '../errors.js';
+
+/**
+ * Model Context Protocol versions the server speaks, newest first
+ */
+export const MCP_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC 2.0 error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+/**
+ * Creates a Model Context Protocol server that offers tools
+ * @param {object} options - Server options
+ * @param {object} options.serverInfo - { name, version } reported to clients
+ * @param {object[]} options.tools - { name, description, inputSchema, handler }; handler takes the call
+ *   arguments and resolves to the text result
+ * @returns {object} - { handleMessage(message): resolves to the response, or null for notifications }
+ */
+export const createMcpServer = trace(function createMcpServer(options) {
+  const { serverInfo, tools } = options;
+  const toolsByName = new Map(tools.map(tool => [tool.name, tool]));
+
+  const methods = {
+    initialize: params => ({
+      // Clients asking for a version we do not know get the newest one and may disconnect
+      protocolVersion: MCP_PROTOCOL_VERSIONS.includes(params.protocolVersion) ? params.protocolVersion : MCP_PROTOCOL_VERSIONS[0],
+      capabilities: { tools: { listChanged: false } },
+      serverInfo,
+    }),
+    ping: () => ({}),
+    'tools/list': () => ({
+      tools: tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema })),
+    }),
+    'tools/call': params => callTool(toolsByName, params),
+  };
+
+  return {
+    async handleMessage(message) {
+      const isRequest = message && typeof message === 'object' && message.id !== undefined && message.id !== null;
+      if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+        return isRequest || !message ? errorResponse(message ? message.id : null, INVALID_REQUEST, 'Invalid request') : null;
+      }
+
+      // Notifications such as notifications/initialized need no answer
+      if (!isRequest) {
+        return null;
+      }
+
+      const method = methods[message.method];
+      if (!method) {
+        return errorResponse(message.id, METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+      }
+      try {
+        return { jsonrpc: '2.0', id: message.id, result: await method(message.params || {}) };
+      } catch (err) {
+        // Requests that name an unknown tool or lack required params
+        if (err instanceof UserInputError) {
+          return errorResponse(message.id, INVALID_PARAMS, err.message);
+        }
+        logger.error({ err }, `mcp-${message.method}-failed`);
+        return errorResponse(message.id, INTERNAL_ERROR, err.message);
+      }
+    },
+  };
+});
+
+/**
+ * Serves newline-delimited JSON-RPC messages, the stdio transport of the Model Context Protocol
+ * @param {object} server - Result of createMcpServer
+ * @param {object} [streams] - { input, output } (default stdin and stdout)
+ * @returns {Promise<void>} - Resolves when the input ends
+ */
+export const serveStdio = trace(function serveStdio(server, streams = {}) {
+  const { input = process.stdin, output = process.stdout } = streams;
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  const pending = new Set();
+
+  const send = response => {
+    if (response) {
+      output.write(`${JSON.stringify(response)}\n`);
+    }
+  };
+
+  lines.on('line', line => {
+    if (line.trim().length === 0) {
+      return;
+    }
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (err) {
+      send(errorResponse(null, PARSE_ERROR, `Parse error: ${err.message}`));
+      return;
+    }
+
+    // Requests are answered as they finish, so a slow tool call does not hold up the others
+    const handled = (Array.isArray(message)
+      ? Promise.all(message.map(item => server.handleMessage(item))).then(responses => responses.filter(Boolean))
+      : server.handleMessage(message))
+      .then(response => send(Array.isArray(response) && response.length === 0 ? null : response));
+    pending.add(handled);
+    handled.finally(() => pending.delete(handled));
+  });
+
+  return new Promise(resolve => {
+    lines.on('close', () => {
+      Promise.allSettled([...pending]).then(() => resolve());
+    });
+  });
+});
+
+/**
+ * Runs a tools/call request
+ * @param {Map} toolsByName - Tools by name
+ * @param {object} params - { name, arguments }
+ * @returns {Promise<object>} - Tool result with text content; errors the caller can fix are results with isError
+ */
+async function callTool(toolsByName, params) {
+  const tool = toolsByName.get(params.name);
+  if (!tool) {
+    throw new UserInputError(`Unknown tool: ${params.name}`);
+  }
+
+  try {
+    const text = await tool.handler(params.arguments || {});
+    return { content: [{ type: 'text', text }] };
+  } catch (err) {
+    // Unknown files, bad patterns and the like are reported to the model, which can try again
+    if (err instanceof AppError) {
+      return { content: [{ type: 'text', text: err.message }], isError: true };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Builds a JSON-RPC error response
+ * @param {string|number|null} id - Request id
+ * @param {number} code - Error code
+ * @param {string} message - Error message
+ * @returns {object} - Response
+ */
+function errorResponse(id, code, message) {
+  return { jsonrpc: '2.0', id: id === undefined ? null : id, error: { code, message } };
+}
+
+export default {
+  MCP_PROTOCOL_VERSIONS,
+  createMcpServer,
+  serveStdio,
+};
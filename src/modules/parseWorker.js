@@ -0,0 +1,26 @@
+import { parentPort } from 'worker_threads';
+import { extractFile } from './workerPool.js';
+
+/**
+ * Worker thread entry point for parseFiles: reads and parses one file per message and
+ * posts back the metadata, or the error in a form that survives the structured clone
+ */
+parentPort.on('message', async ({
+  index, filePath, options, source,
+}) => {
+  try {
+    parentPort.postMessage({ index, ...await extractFile(filePath, options, source) });
+  } catch (err) {
+    parentPort.postMessage({
+      index,
+      error: {
+        name: err.name,
+        message: err.message,
+        stack: err.stack,
+        path: err.path,
+        position: err.position,
+        diagnostic: err.diagnostic,
+      },
+    });
+  }
+});
@@ -3,30 +3,38 @@ import traverse from '@babel/traverse';
 import * as t from '@babel/types';
 import { trace } from '../logger.js';
 import { ParseError } from '../errors.js';
+import { parseJSDoc } from './jsdoc.js';
+import { printTSType, DEFAULT_MAX_TYPE_LENGTH } from './typePrinter.js';
+
+// Type printer options of the file being parsed; parseFile is synchronous so one file is parsed at a time
+let typePrinterOptions = { maxLength: DEFAULT_MAX_TYPE_LENGTH };
+
+// Module-level declarations a call within the file can name
+const CALLABLE_TYPES = ['fn', 'const', 'class'];
+
+// Instance types of `this.field` by class node, collected once per class
+const classFieldTypes = new WeakMap();
 
 /**
  * Parses a JavaScript/TypeScript file and extracts metadata
  * @param {string} content - File content
  * @param {string} filePath - Path to the file (for error reporting)
- * @returns {object} - Extracted metadata
+ * @param {object} [options] - Parser options
+ * @param {number} [options.maxTypeLength] - Maximum length of printed types (0 for unlimited)
+ * @param {number} [options.depth] - How many levels of nested declarations to record under their parent (default 0)
+ * @param {boolean} [options.includeLocals] - Also record local variables, with unlimited depth unless depth is set
+ * @param {Array} [options.plugins] - Extra Babel parser plugins, as names or [name, options] pairs
+ * @param {boolean} [options.strict] - Fail on the first syntax error instead of retrying with error recovery
+ * @returns {object} - Extracted metadata, with `diagnostics` for syntax errors that were recovered from
  */
-export const parseFile = trace(function parseFile(content, filePath) {
+export const parseFile = trace(function parseFile(content, filePath, options = {}) {
   try {
-    // Determine if it's a TypeScript file
-    const isTS = filePath.endsWith('.ts') || filePath.endsWith('.tsx');
-    const isJSX = filePath.endsWith('.jsx') || filePath.endsWith('.tsx');
+    typePrinterOptions = {
+      maxLength: options.maxTypeLength === undefined ? DEFAULT_MAX_TYPE_LENGTH : options.maxTypeLength,
+    };
     
     // Parse the file
-    const ast = parser.parse(content, {
-      sourceType: 'module',
-      plugins: [
-        isTS && 'typescript',
-        isJSX && 'jsx',
-        'classProperties',
-        'classPrivateProperties',
-        'decorators-legacy',
-      ].filter(Boolean),
-    });
+    const { ast, diagnostics } = parseSource(content, filePath, options);
     
     // Initialize metadata
     const metadata = {
@@ -34,6 +42,100 @@ export const parseFile = trace(function parseFile(content, filePath) {
       dependencies: [],
     };
     
+    if (diagnostics.length > 0) {
+      metadata.diagnostics = diagnostics;
+    }
+    const scopeTracked = diagnostics.length === 0;
+    
+    // JSDoc @typedef blocks are not attached to any declaration, so collect them up front
+    ast.comments.forEach(comment => {
+      const jsdoc = comment.type === 'CommentBlock' ? parseJSDoc(comment.value) : null;
+      if (jsdoc) {
+        jsdoc.typedefs.forEach(typedef => {
+          metadata.symbols.push({
+            name: typedef.name,
+            type: 'typedef',
+            definition: typedef.type,
+            properties: typedef.properties.map(prop => ({
+              name: prop.name,
+              type: prop.type || 'any',
+              ...(prop.optional && { optional: true }),
+              ...(prop.description && { doc: prop.description }),
+            })),
+            ...(typedef.description && { doc: typedef.description }),
+            exported: 'none',
+            loc: extractLocation(comment.loc),
+          });
+        });
+      }
+    });
+    
+    // Names exported separately from their declaration, e.g. `export { foo }` or `export default foo`
+    const exportedLocals = new Map();
+    
+    // Declarations inside a namespace are recorded as members of that namespace
+    const namespaceSymbols = new WeakMap();
+    
+    // Function nodes that were recorded as symbols, so their locals can be nested under them
+    const scopeSymbols = new WeakMap();
+    const maxDepth = options.depth ?? (options.includeLocals ? Infinity : 0);
+    
+    // Calls of module-level functions, consts and class methods, by the node that holds their code and by symbol
+    const callers = new WeakMap();
+    const callerSymbols = new Map();
+    const addCaller = (node, symbol) => {
+      if (symbol) {
+        const calls = [];
+        callers.set(node, calls);
+        callerSymbols.set(symbol, calls);
+      }
+    };
+    
+    // Returns the symbol as recorded at module level, or nothing for locals and namespace members
+    const pushSymbol = (path, symbol, scopeNode) => {
+      const { loc, ...rest } = symbol;
+      
+      // Declarations inside a function are locals of that function
+      const ownerPath = path.findParent(parent => parent.isFunction());
+      if (ownerPath) {
+        // Functions that were not recorded themselves (callbacks, or too deep) drop their locals
+        const owner = scopeSymbols.get(ownerPath.node);
+        if (!owner) {
+          return undefined;
+        }
+        
+        const level = owner.level + 1;
+        if (level > maxDepth || (symbol.type === 'const' && !options.includeLocals)) {
+          return undefined;
+        }
+        
+        const local = { ...rest, loc };
+        owner.symbol.locals = owner.symbol.locals || [];
+        owner.symbol.locals.push(local);
+        if (scopeNode) {
+          scopeSymbols.set(scopeNode, { symbol: local, level });
+        }
+        return undefined;
+      }
+      
+      const annotated = {
+        ...rest,
+        exported: symbol.exported || getExportKind(path),
+        loc,
+      };
+      if (scopeNode) {
+        scopeSymbols.set(scopeNode, { symbol: annotated, level: 0 });
+      }
+      
+      const namespacePath = path.findParent(parent => parent.isTSModuleDeclaration() && namespaceSymbols.has(parent.node));
+      if (namespacePath) {
+        namespaceSymbols.get(namespacePath.node).members.push(annotated);
+        return undefined;
+      }
+      metadata.symbols.push(annotated);
+      return annotated;
+    };
+    
     // Traverse the AST to extract metadata
     traverse.default(ast, {
       // Extract imports
@@ -42,6 +144,8 @@ export const parseFile = trace(function parseFile(content, filePath) {
         metadata.dependencies.push({
           type: 'import',
           source,
+          // `import type` is erased at compile time, so it links no modules at runtime
+          ...(path.node.importKind === 'type' && { importKind: 'type' }),
           specifiers: path.node.specifiers.map(spec => {
             if (t.isImportDefaultSpecifier(spec)) {
               return { type: 'default', local: spec.local.name };
@@ -66,9 +170,69 @@ export const parseFile = trace(function parseFile(content, filePath) {
           t.isStringLiteral(path.node.arguments[0])
         ) {
           const source = path.node.arguments[0].value;
+          const specifiers = extractRequireSpecifiers(path);
           metadata.dependencies.push({
             type: 'require',
             source,
+            ...(specifiers.length > 0 && { specifiers }),
+          });
+        } else if (t.isImport(path.node.callee)) {
+          // Dynamic import(); only literal specifiers can be recorded
+          const source = getStaticString(path.node.arguments[0]);
+          if (source !== null) {
+            metadata.dependencies.push({
+              type: 'dynamicImport',
+              source,
+            });
+          }
+        } else {
+          recordCall(path, callers);
+        }
+      },
+      
+      // Constructor calls, recorded like calls
+      NewExpression(path) {
+        recordCall(path, callers);
+      },
+      
+      // Extract CommonJS exports: module.exports = ..., exports.foo = ..., module.exports.foo = ...
+      AssignmentExpression(path) {
+        const { left, right, operator } = path.node;
+        const shadowed = path.scope && (path.scope.hasBinding('module') || path.scope.hasBinding('exports'));
+        if (operator !== '=' || shadowed) {
+          return;
+        }
+        
+        if (isModuleExports(left)) {
+          extractModuleExports(right).forEach(cjsExport => {
+            if (cjsExport.localName) {
+              if (cjsExport.exported === 'named' || !exportedLocals.has(cjsExport.localName)) {
+                exportedLocals.set(cjsExport.localName, cjsExport.exported);
+              }
+            }
+            if (cjsExport.exported === 'default') {
+              metadata.hasDefaultExport = true;
+              if (cjsExport.localName) {
+                metadata.defaultExport = cjsExport.localName;
+              }
+            }
+            metadata.symbols.push({
+              ...cjsExport,
+              loc: extractLocation(path.node.loc),
+            });
+          });
+        } else if (
+          t.isMemberExpression(left) &&
+          (t.isIdentifier(left.object, { name: 'exports' }) || isModuleExports(left.object))
+        ) {
+          const name = getPropertyKeyName(left.property, left.computed);
+          const cjsExport = describeCjsExport(name, right, 'named');
+          if (cjsExport.localName && !exportedLocals.has(cjsExport.localName)) {
+            exportedLocals.set(cjsExport.localName, 'named');
+          }
+          metadata.symbols.push({
+            ...cjsExport,
+            loc: extractLocation(path.node.loc),
           });
         }
       },
@@ -76,33 +240,44 @@ export const parseFile = trace(function parseFile(content, filePath) {
       // Extract function declarations
       FunctionDeclaration(path) {
         if (path.node.id) {
-          metadata.symbols.push({
+          const jsdoc = findJSDoc(path);
+          addCaller(path.node, pushSymbol(path, {
             name: path.node.id.name,
             type: 'fn',
-            params: path.node.params.map(extractParamInfo),
-            returnType: extractTypeAnnotation(path.node.returnType),
+            ...extractGenerics(path.node.typeParameters),
+            params: extractParams(path.node.params, jsdoc),
+            returnType: extractTypeAnnotation(path.node.returnType, jsdoc?.returns?.type),
+            ...extractDoc(jsdoc),
             loc: extractLocation(path.node.loc),
-          });
+          }, path.node));
         }
       },
       
       // Extract arrow functions assigned to variables
       VariableDeclarator(path) {
         if (path.node.id && t.isIdentifier(path.node.id) && path.node.init) {
+          const jsdoc = findJSDoc(path);
           if (t.isArrowFunctionExpression(path.node.init) || t.isFunctionExpression(path.node.init)) {
-            metadata.symbols.push({
+            addCaller(path.node.init, pushSymbol(path, {
               name: path.node.id.name,
               type: 'fn',
-              params: path.node.init.params.map(extractParamInfo),
-              returnType: extractTypeAnnotation(path.node.init.returnType),
+              ...extractGenerics(path.node.init.typeParameters),
+              params: extractParams(path.node.init.params, jsdoc),
+              returnType: extractTypeAnnotation(path.node.init.returnType, jsdoc?.returns?.type),
+              ...extractDoc(jsdoc),
               loc: extractLocation(path.node.loc),
-            });
-          } else if (!t.isArrowFunctionExpression(path.node.init) && !t.isFunctionExpression(path.node.init)) {
-            metadata.symbols.push({
+            }, path.node.init));
+          } else if (!isRequireCall(path.node.init) && !(t.isMemberExpression(path.node.init) && isRequireCall(path.node.init.object))) {
+            // Bindings created by require() are recorded as dependency specifiers instead
+            const valueType = extractTypeAnnotation(path.node.id.typeAnnotation, jsdoc?.type);
+            // Functions wrapped in a call, e.g. `const f = memoize(function f() {})`, record their calls on the const
+            addCaller(path.node.init, pushSymbol(path, {
               name: path.node.id.name,
               type: 'const',
+              ...(valueType !== 'any' && { valueType }),
+              ...extractDoc(jsdoc),
               loc: extractLocation(path.node.loc),
-            });
+            }));
           }
         }
       },
@@ -113,41 +288,183 @@ export const parseFile = trace(function parseFile(content, filePath) {
           const classMetadata = {
             name: path.node.id.name,
             type: 'class',
+            ...(path.node.abstract && { abstract: true }),
+            ...extractGenerics(path.node.typeParameters),
             fields: [],
             methods: [],
+            ...extractDoc(findJSDoc(path)),
             loc: extractLocation(path.node.loc),
           };
           
-          // Extract super class
-          if (path.node.superClass && t.isIdentifier(path.node.superClass)) {
-            classMetadata.extends = path.node.superClass.name;
+          // Extract super class, e.g. `Base` or `React.Component<Props>`
+          if (path.node.superClass && (t.isIdentifier(path.node.superClass) || t.isMemberExpression(path.node.superClass))) {
+            const superTypeArguments = path.node.superTypeParameters
+              ? `<${path.node.superTypeParameters.params.map(getTSTypeName).join(', ')}>`
+              : '';
+            classMetadata.extends = `${getEntityName(path.node.superClass)}${superTypeArguments}`;
           }
           
           // Process class body
-          path.node.body.body.forEach(member => {
-            if (t.isClassMethod(member)) {
-              classMetadata.methods.push({
-                name: t.isIdentifier(member.key) ? member.key.name : 
-                     (t.isStringLiteral(member.key) ? member.key.value : 'computed'),
+          const methodNodes = new Map();
+          const members = path.node.body.body;
+          // Overload signatures come before the implementation, which stands for them
+          const isOverload = member => t.isTSDeclareMethod(member) && !member.abstract && members.some(other => t.isClassMethod(other)
+            && other.static === member.static && getClassMemberName(other.key) === getClassMemberName(member.key));
+          members.forEach(member => {
+            const memberDoc = getJSDocFromNode(member);
+            // Abstract methods and the methods of `declare class` have no body
+            if ((t.isClassMethod(member) || t.isClassPrivateMethod(member) || t.isTSDeclareMethod(member)) && !isOverload(member)) {
+              const methodMetadata = {
+                name: getClassMemberName(member.key),
                 static: member.static,
                 kind: member.kind, // "constructor", "method", "get", or "set"
-                params: member.params.map(extractParamInfo),
-                returnType: extractTypeAnnotation(member.returnType),
+                ...(member.accessibility && { accessibility: member.accessibility }), // TypeScript private, protected or public
+                ...(member.abstract && { abstract: true }),
+                ...extractGenerics(member.typeParameters),
+                params: extractParams(member.params, memberDoc),
+                returnType: extractTypeAnnotation(member.returnType, memberDoc?.returns?.type),
+                ...extractDoc(memberDoc),
                 loc: extractLocation(member.loc),
-              });
-            } else if (t.isClassProperty(member)) {
+              };
+              classMetadata.methods.push(methodMetadata);
+              if (!t.isTSDeclareMethod(member)) {
+                methodNodes.set(member, methodMetadata);
+              }
+            } else if (t.isClassProperty(member) || t.isClassPrivateProperty(member)) {
               classMetadata.fields.push({
-                name: t.isIdentifier(member.key) ? member.key.name : 
-                     (t.isStringLiteral(member.key) ? member.key.value : 'computed'),
+                name: getClassMemberName(member.key),
                 static: member.static,
-                type: extractTypeAnnotation(member.typeAnnotation),
+                ...(member.accessibility && { accessibility: member.accessibility }),
+                type: extractTypeAnnotation(member.typeAnnotation, memberDoc?.type),
+                ...extractDoc(memberDoc),
                 loc: extractLocation(member.loc),
               });
             }
           });
           
-          metadata.symbols.push(classMetadata);
+          const recordedClass = pushSymbol(path, classMetadata, path.node);
+          if (recordedClass) {
+            methodNodes.forEach((methodMetadata, member) => addCaller(member, methodMetadata));
+          }
+          
+          // Locals of a method nest under the method, one level below the class
+          const classScope = scopeSymbols.get(path.node);
+          if (classScope) {
+            methodNodes.forEach((methodMetadata, member) => {
+              scopeSymbols.set(member, { symbol: methodMetadata, level: classScope.level });
+            });
+          }
+        }
+      },
+      
+      // Extract function overload signatures and ambient declarations
+      TSDeclareFunction(path) {
+        if (path.node.id) {
+          const jsdoc = findJSDoc(path);
+          pushSymbol(path, {
+            name: path.node.id.name,
+            type: 'fn',
+            ...extractGenerics(path.node.typeParameters),
+            params: extractParams(path.node.params, jsdoc),
+            returnType: extractTypeAnnotation(path.node.returnType, jsdoc?.returns?.type),
+            declare: true,
+            ...extractDoc(jsdoc),
+            loc: extractLocation(path.node.loc),
+          });
+        }
+      },
+      
+      // Extract TypeScript interfaces
+      TSInterfaceDeclaration(path) {
+        const interfaceMetadata = {
+          name: path.node.id.name,
+          type: 'interface',
+          ...extractGenerics(path.node.typeParameters),
+          extends: (path.node.extends || []).map(getTSTypeName),
+          members: path.node.body.body.map(extractTypeMember),
+          ...extractDoc(findJSDoc(path)),
+          loc: extractLocation(path.node.loc),
+        };
+        
+        pushSymbol(path, interfaceMetadata);
+      },
+      
+      // Extract TypeScript type aliases
+      TSTypeAliasDeclaration(path) {
+        pushSymbol(path, {
+          name: path.node.id.name,
+          type: 'typeAlias',
+          ...extractGenerics(path.node.typeParameters),
+          definition: getTSTypeName(path.node.typeAnnotation),
+          ...extractDoc(findJSDoc(path)),
+          loc: extractLocation(path.node.loc),
+        });
+      },
+      
+      // Extract TypeScript enums
+      TSEnumDeclaration(path) {
+        // Members without an initializer continue counting from the previous numeric value
+        let nextValue = 0;
+        const members = path.node.members.map(member => {
+          const name = t.isIdentifier(member.id) ? member.id.name : member.id.value;
+          let value = nextValue;
+          
+          if (member.initializer) {
+            value = getLiteralValue(member.initializer, content);
+          }
+          nextValue = typeof value === 'number' ? value + 1 : null;
+          
+          return {
+            name,
+            value,
+            ...extractDoc(getJSDocFromNode(member)),
+          };
+        });
+        
+        pushSymbol(path, {
+          name: path.node.id.name,
+          type: 'enum',
+          const: path.node.const || false,
+          members,
+          ...extractDoc(findJSDoc(path)),
+          loc: extractLocation(path.node.loc),
+        });
+      },
+      
+      // Extract namespaces, `declare module 'x'` blocks and `declare global`
+      TSModuleDeclaration(path) {
+        // `namespace A.B {}` nests a module declaration directly; the outer one records the full name
+        if (t.isTSModuleDeclaration(path.parent)) {
+          return;
+        }
+        
+        const nameParts = [];
+        let innermost = path.node;
+        nameParts.push(t.isIdentifier(innermost.id) ? innermost.id.name : innermost.id.value);
+        while (t.isTSModuleDeclaration(innermost.body)) {
+          innermost = innermost.body;
+          nameParts.push(innermost.id.name);
         }
+        
+        let kind = 'namespace';
+        if (t.isStringLiteral(path.node.id)) {
+          kind = 'module';
+        } else if (path.node.kind === 'global' || path.node.global) {
+          kind = 'global';
+        }
+        
+        const namespaceMetadata = {
+          name: nameParts.join('.'),
+          type: 'namespace',
+          kind,
+          declare: path.node.declare || false,
+          members: [],
+          ...extractDoc(findJSDoc(path)),
+          loc: extractLocation(path.node.loc),
+        };
+        
+        pushSymbol(path, namespaceMetadata);
+        namespaceSymbols.set(innermost, namespaceMetadata);
       },
       
       // Extract exports
@@ -155,30 +472,731 @@ export const parseFile = trace(function parseFile(content, filePath) {
         if (path.node.declaration) {
           // The export is declaring a new variable/function/class
           // It will be caught by the respective visitors above
+        } else if (path.node.source) {
+          // Handle re-exports like: export { foo, bar as baz } from './x' and export * as ns from './x'
+          const source = path.node.source.value;
+          const specifiers = path.node.specifiers.map(specifier => {
+            const exportedName = getModuleExportName(specifier.exported);
+            const imported = t.isExportNamespaceSpecifier(specifier) ? '*' : getModuleExportName(specifier.local);
+            
+            pushSymbol(path, {
+              name: exportedName,
+              type: 'reexport',
+              imported,
+              source,
+              exported: exportedName === 'default' ? 'default' : 'named',
+              loc: extractLocation(specifier.loc),
+            });
+            
+            if (exportedName === 'default') {
+              metadata.hasDefaultExport = true;
+            }
+            
+            return imported === '*'
+              ? { type: 'namespace', exported: exportedName }
+              : { type: 'named', imported, exported: exportedName };
+          });
+          
+          metadata.dependencies.push({
+            type: 'reexport',
+            source,
+            ...(path.node.exportKind === 'type' && { importKind: 'type' }),
+            specifiers,
+          });
         } else {
           // Handle named exports like: export { foo, bar as baz }
           path.node.specifiers.forEach(specifier => {
-            metadata.symbols.push({
-              name: specifier.exported.name,
+            const exportedName = getModuleExportName(specifier.exported);
+            const exported = exportedName === 'default' ? 'default' : 'named';
+            // A name exported both ways counts as named; defaultExport still records it
+            if (exported === 'named' || !exportedLocals.has(specifier.local.name)) {
+              exportedLocals.set(specifier.local.name, exported);
+            }
+            if (exported === 'default') {
+              metadata.hasDefaultExport = true;
+              metadata.defaultExport = specifier.local.name;
+            }
+            
+            pushSymbol(path, {
+              name: exportedName,
               localName: specifier.local.name,
               type: 'export',
+              exported,
               loc: extractLocation(specifier.loc),
             });
           });
         }
       },
       
+      // Handle export * from './x'
+      ExportAllDeclaration(path) {
+        const source = path.node.source.value;
+        metadata.dependencies.push({
+          type: 'exportAll',
+          source,
+          ...(path.node.exportKind === 'type' && { importKind: 'type' }),
+        });
+        pushSymbol(path, {
+          name: '*',
+          type: 'exportAll',
+          source,
+          exported: 'named',
+          loc: extractLocation(path.node.loc),
+        });
+      },
+      
       ExportDefaultDeclaration(path) {
         metadata.hasDefaultExport = true;
+        
+        const { declaration } = path.node;
+        if ((t.isFunctionDeclaration(declaration) || t.isClassDeclaration(declaration)) && declaration.id) {
+          metadata.defaultExport = declaration.id.name;
+        } else if (t.isIdentifier(declaration)) {
+          metadata.defaultExport = declaration.name;
+          if (!exportedLocals.has(declaration.name)) {
+            exportedLocals.set(declaration.name, 'default');
+          }
+        }
       },
+      // Scope tracking throws on the duplicate declarations error recovery lets through
+      noScope: !scopeTracked,
+    });
+    
+    // Mark declarations that are exported by name elsewhere in the module
+    metadata.symbols.forEach(symbol => {
+      if (symbol.type !== 'export' && symbol.exported === 'none' && exportedLocals.has(symbol.name)) {
+        symbol.exported = exportedLocals.get(symbol.name);
+      }
     });
     
+    // Calls within the file are kept when they name a module-level declaration or a method of one
+    const declaredNames = new Set();
+    metadata.symbols.forEach(symbol => {
+      if (CALLABLE_TYPES.includes(symbol.type)) {
+        declaredNames.add(symbol.name);
+        (symbol.methods || []).forEach(method => declaredNames.add(`${symbol.name}.${method.name}`));
+      }
+    });
+    callerSymbols.forEach((calls, symbol) => {
+      const kept = calls.filter(call => call.source !== undefined || declaredNames.has(call.name));
+      if (kept.length > 0) {
+        Object.assign(symbol, { calls: kept });
+      }
+    });
+    
+    // Without scope tracking no calls are recorded, which the manifest should say rather than show none
+    if (!scopeTracked && callerSymbols.size > 0) {
+      metadata.diagnostics.push({
+        severity: 'info',
+        line: null,
+        column: null,
+        message: 'Calls are not recorded for this file, as it was parsed with error recovery',
+      });
+    }
+    
     return metadata;
   } catch (err) {
-    throw new ParseError(`Failed to parse ${filePath}: ${err.message}`, filePath, err.loc || null);
+    const parseError = new ParseError(`Failed to parse ${filePath}: ${err.message}`, filePath, err.loc || null);
+    // Tolerant runs record the failure instead of stopping
+    parseError.diagnostic = toDiagnostic(err, 'error');
+    throw parseError;
   }
 });
 
+/**
+ * Parses source code, retrying with error recovery and more syntax plugins unless strict
+ * @param {string} content - File content
+ * @param {string} filePath - Path to the file
+ * @param {object} options - Parser options (see parseFile)
+ * @returns {object} - { ast, diagnostics: recovered syntax errors }
+ */
+function parseSource(content, filePath, options) {
+  // Determine if it's a TypeScript file
+  const isTS = filePath.endsWith('.ts') || filePath.endsWith('.tsx');
+  const isJSX = filePath.endsWith('.jsx') || filePath.endsWith('.tsx');
+  
+  const plugins = mergePlugins([
+    isTS && 'typescript',
+    isJSX && 'jsx',
+    'classProperties',
+    'classPrivateProperties',
+    'decorators-legacy',
+  ].filter(Boolean), options.plugins || []);
+  
+  try {
+    return {
+      ast: parser.parse(content, { sourceType: 'module', plugins }),
+      diagnostics: [],
+    };
+  } catch (err) {
+    if (options.strict) {
+      throw err;
+    }
+    
+    // JSX and Flow in .js files and CommonJS-only syntax are common reasons for a failed first attempt
+    const fallbackPlugins = mergePlugins(plugins, [
+      'jsx',
+      !isTS && 'flow',
+      'exportDefaultFrom',
+      'functionBind',
+      'doExpressions',
+      'throwExpressions',
+    ].filter(Boolean));
+    const ast = parser.parse(content, {
+      sourceType: 'unambiguous',
+      plugins: fallbackPlugins,
+      errorRecovery: true,
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+      allowSuperOutsideMethod: true,
+      allowUndeclaredExports: true,
+    });
+    
+    return {
+      ast,
+      diagnostics: (ast.errors || []).map(error => toDiagnostic(error, 'warning')),
+    };
+  }
+}
+
+/**
+ * Describes a Babel syntax error for the manifest
+ * @param {Error} error - Babel error, with `loc` when the position is known
+ * @param {string} severity - "warning" when the file was still parsed, "error" when it was not
+ * @returns {object} - { severity, line, column, message }
+ */
+function toDiagnostic(error, severity) {
+  return {
+    severity,
+    line: error.loc ? error.loc.line : null,
+    column: error.loc ? error.loc.column : null,
+    // Babel appends the position to the message, which the fields above already give
+    message: error.message.replace(/ \(\d+:\d+\)$/, ''),
+  };
+}
+
+/**
+ * Adds configured parser plugins to the built-in list; a configured plugin replaces a built-in one of the same name
+ * @param {Array} basePlugins - Built-in plugin names
+ * @param {Array} extraPlugins - Configured plugins, as names or [name, options] pairs
+ * @returns {Array} - Plugins for the Babel parser
+ */
+function mergePlugins(basePlugins, extraPlugins) {
+  const pluginName = plugin => (Array.isArray(plugin) ? plugin[0] : plugin);
+  const extraNames = new Set(extraPlugins.map(pluginName));
+
+  // The two decorator proposals cannot be enabled together
+  if (extraNames.has('decorators')) {
+    extraNames.add('decorators-legacy');
+  }
+
+  return [
+    ...basePlugins.filter(plugin => !extraNames.has(pluginName(plugin))),
+    ...extraPlugins,
+  ];
+}
+
+/**
+ * Checks whether a node is a `require('literal')` call
+ * @param {object} node - AST node
+ * @returns {boolean} - True for literal require calls
+ */
+function isRequireCall(node) {
+  return t.isCallExpression(node) &&
+    t.isIdentifier(node.callee, { name: 'require' }) &&
+    node.arguments.length === 1 &&
+    t.isStringLiteral(node.arguments[0]);
+}
+
+/**
+ * Checks whether a node is the `module.exports` member expression
+ * @param {object} node - AST node
+ * @returns {boolean} - True for module.exports
+ */
+function isModuleExports(node) {
+  return t.isMemberExpression(node) &&
+    t.isIdentifier(node.object, { name: 'module' }) &&
+    getPropertyKeyName(node.property, node.computed) === 'exports';
+}
+
+/**
+ * Gets the name of an export specifier part, which may be a string literal (`export { x as "y" }`)
+ * @param {object} node - Identifier or StringLiteral AST node
+ * @returns {string} - Name
+ */
+function getModuleExportName(node) {
+  return t.isStringLiteral(node) ? node.value : node.name;
+}
+
+/**
+ * Gets the value of a string literal or a template literal without expressions
+ * @param {object} node - AST node
+ * @returns {string|null} - String value, or null if it is not static
+ */
+function getStaticString(node) {
+  if (t.isStringLiteral(node)) {
+    return node.value;
+  }
+  if (t.isTemplateLiteral(node) && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+/**
+ * Extracts the bindings created by a require() call, e.g. `const { a, b: c } = require('x')`
+ * @param {object} path - Babel path of the require call
+ * @returns {object[]} - Import specifiers
+ */
+function extractRequireSpecifiers(path) {
+  let parent = path.parentPath;
+  let member = null;
+  
+  // const foo = require('x').foo
+  if (parent.isMemberExpression() && parent.node.object === path.node) {
+    member = getPropertyKeyName(parent.node.property, parent.node.computed);
+    parent = parent.parentPath;
+  }
+  
+  if (!parent.isVariableDeclarator()) {
+    return [];
+  }
+  
+  const { id } = parent.node;
+  if (t.isIdentifier(id)) {
+    return member
+      ? [{ type: 'named', local: id.name, imported: member }]
+      : [{ type: 'namespace', local: id.name }];
+  }
+  
+  if (t.isObjectPattern(id) && !member) {
+    return id.properties
+      .filter(prop => t.isObjectProperty(prop))
+      .map(prop => {
+        const value = t.isAssignmentPattern(prop.value) ? prop.value.left : prop.value;
+        return {
+          type: 'named',
+          local: t.isIdentifier(value) ? value.name : 'destructured',
+          imported: getPropertyKeyName(prop.key, prop.computed),
+        };
+      });
+  }
+  
+  return [];
+}
+
+/**
+ * Records a call or `new` expression on the module-level function, const or class method containing it, as
+ * { name, source?, new? }: the callee's name in this file, such as "formatDate" or "Person.greet", or with
+ * `source`, its name in the module imported from there, where "default" is the default export
+ * @param {object} path - Babel path of the CallExpression or NewExpression
+ * @param {WeakMap} callers - Calls recorded so far, by the node that holds the caller's code
+ */
+function recordCall(path, callers) {
+  // Without scope tracking (after error recovery) imported names cannot be told from local ones
+  if (!path.scope || !path.getFunctionParent()) {
+    return;
+  }
+  const callerPath = path.findParent(parent => callers.has(parent.node));
+  if (!callerPath) {
+    return;
+  }
+
+  const isNew = path.isNewExpression();
+  const callee = isNew ? describeValueType(path) : describeCallee(path.get('callee'));
+  if (!callee || callee.name === '*') {
+    return;
+  }
+
+  const call = {
+    name: callee.name,
+    ...(callee.source !== undefined && { source: callee.source }),
+    ...(isNew && { new: true }),
+  };
+  const calls = callers.get(callerPath.node);
+  if (!calls.some(known => known.name === call.name && known.source === call.source && known.new === call.new)) {
+    calls.push(call);
+  }
+}
+
+/**
+ * Describes the function a call expression calls
+ * @param {object} callee - Babel path of the callee expression
+ * @returns {object|null} - { name, source? }, or null when it cannot be told statically
+ */
+function describeCallee(callee) {
+  if (callee.isIdentifier()) {
+    const target = resolveName(callee.scope, callee.node.name);
+    // Calling what require() returned calls its module.exports
+    return target && target.name === '*' && target.required ? { name: 'default', source: target.source } : target;
+  }
+  if (!callee.isMemberExpression()) {
+    return null;
+  }
+
+  const { property, computed } = callee.node;
+  const name = computed ? getStaticString(property) : (t.isIdentifier(property) && property.name);
+  if (!name) {
+    return null;
+  }
+
+  // this.method() and super.method() are looked up in the class, then in the class it extends
+  const object = callee.get('object');
+  if (object.isThisExpression() || object.isSuper()) {
+    const classPath = getEnclosingClass(object);
+    return classPath ? describeClassMember(classPath, name, object.isSuper()) : null;
+  }
+  const owner = describeValueType(object);
+  return owner && getMember(owner, name);
+}
+
+/**
+ * Describes the class (or module) an expression's value belongs to, so its methods can be named: classes and
+ * imports by name, `new X()` values and variables holding them, parameters typed as a class and `this` fields
+ * @param {object} path - Babel path of the expression, or of a NewExpression for its class
+ * @returns {object|null} - { name, source? }, with name "*" for a whole module
+ */
+function describeValueType(path) {
+  const { node } = path;
+  if (t.isNewExpression(node)) {
+    return t.isIdentifier(node.callee) ? resolveName(path.scope, node.callee.name) : null;
+  }
+  if (t.isIdentifier(node)) {
+    const binding = path.scope.getBinding(node.name);
+    if (!binding) {
+      return null;
+    }
+    const { node: declaration } = binding.path;
+    if (t.isVariableDeclarator(declaration) && t.isNewExpression(declaration.init) && t.isIdentifier(declaration.init.callee)) {
+      return resolveName(binding.path.scope, declaration.init.callee.name);
+    }
+    const typeName = getTypeReferenceName(t.isVariableDeclarator(declaration) ? declaration.id : declaration);
+    return typeName ? resolveName(binding.path.scope, typeName) : resolveName(path.scope, node.name);
+  }
+  if (t.isMemberExpression(node) && t.isThisExpression(node.object) && !node.computed && t.isIdentifier(node.property)) {
+    const classPath = getEnclosingClass(path);
+    const typeName = classPath && getFieldTypes(classPath).get(node.property.name);
+    return typeName ? resolveName(classPath.scope, typeName) : null;
+  }
+  return null;
+}
+
+/**
+ * Resolves a name to the module-level declaration or import that binds it
+ * @param {object} scope - Babel scope the name is used in
+ * @param {string} name - Name
+ * @returns {object|null} - { name, source? } where the name is the one exported by `source`, "default" or
+ *   "*" for the whole module (with `required` for require()); null for locals, parameters and globals
+ */
+function resolveName(scope, name) {
+  const binding = scope.getBinding(name);
+  if (!binding) {
+    return null;
+  }
+
+  const { node, parent } = binding.path;
+  if (binding.kind === 'module') {
+    const source = parent.source.value;
+    if (t.isImportNamespaceSpecifier(node)) {
+      return { name: '*', source };
+    }
+    return { name: t.isImportSpecifier(node) ? getModuleExportName(node.imported) : 'default', source };
+  }
+  if (!t.isProgram(binding.scope.block)) {
+    return null;
+  }
+
+  // const a = require('x'), const { a } = require('x') and const a = require('x').a
+  if (t.isVariableDeclarator(node) && node.init) {
+    const requireCall = t.isMemberExpression(node.init) ? node.init.object : node.init;
+    if (isRequireCall(requireCall)) {
+      const source = requireCall.arguments[0].value;
+      if (requireCall !== node.init) {
+        return { name: getPropertyKeyName(node.init.property, node.init.computed), source };
+      }
+      if (t.isIdentifier(node.id)) {
+        return { name: '*', source, required: true };
+      }
+      const property = t.isObjectPattern(node.id) && node.id.properties.find(prop => t.isObjectProperty(prop)
+        && t.isIdentifier(t.isAssignmentPattern(prop.value) ? prop.value.left : prop.value, { name }));
+      return property ? { name: getPropertyKeyName(property.key, property.computed), source } : null;
+    }
+  }
+  return { name };
+}
+
+/**
+ * Names a member of a class or module
+ * @param {object} owner - Result of describeValueType
+ * @param {string} name - Member name
+ * @returns {object} - { name, source? }
+ */
+function getMember(owner, name) {
+  return {
+    name: owner.name === '*' ? name : `${owner.name}.${name}`,
+    ...(owner.source !== undefined && { source: owner.source }),
+  };
+}
+
+/**
+ * Finds the class whose method an expression is in, following arrow functions, which keep `this`
+ * @param {object} path - Babel path
+ * @returns {object|null} - Babel path of the named ClassDeclaration, or null
+ */
+function getEnclosingClass(path) {
+  let functionPath = path.getFunctionParent();
+  while (functionPath && functionPath.isArrowFunctionExpression()) {
+    functionPath = functionPath.getFunctionParent();
+  }
+  if (!functionPath || !functionPath.isClassMethod()) {
+    return null;
+  }
+  const classPath = functionPath.parentPath.parentPath;
+  return classPath.isClassDeclaration() && classPath.node.id ? classPath : null;
+}
+
+/**
+ * Describes a method called on `this` or `super` within a class
+ * @param {object} classPath - Babel path of the ClassDeclaration
+ * @param {string} name - Method name
+ * @param {boolean} fromSuper - Whether the call is on `super`, which skips the class's own methods
+ * @returns {object|null} - { name, source? }
+ */
+function describeClassMember(classPath, name, fromSuper) {
+  const { id, body, superClass } = classPath.node;
+  const declared = body.body.some(member => t.isClassMethod(member) && getPropertyKeyName(member.key, member.computed) === name);
+  if (declared && !fromSuper) {
+    return { name: `${id.name}.${name}` };
+  }
+  const base = t.isIdentifier(superClass) ? resolveName(classPath.scope, superClass.name) : null;
+  return base && getMember(base, name);
+}
+
+/**
+ * Collects the class names of a class's fields: from `new X()` initializers and assignments to `this.field`,
+ * and from type annotations, including those of constructor parameter properties
+ * @param {object} classPath - Babel path of the ClassDeclaration
+ * @returns {Map} - Field name to class name
+ */
+function getFieldTypes(classPath) {
+  if (classFieldTypes.has(classPath.node)) {
+    return classFieldTypes.get(classPath.node);
+  }
+
+  const types = new Map();
+  const newClassName = value => (t.isNewExpression(value) && t.isIdentifier(value.callee) ? value.callee.name : null);
+  classPath.node.body.body.forEach(member => {
+    if (t.isClassProperty(member) && t.isIdentifier(member.key)) {
+      const typeName = newClassName(member.value) || getTypeReferenceName(member);
+      if (typeName) {
+        types.set(member.key.name, typeName);
+      }
+    } else if (t.isClassMethod(member, { kind: 'constructor' })) {
+      member.params.filter(param => t.isTSParameterProperty(param)).forEach(({ parameter }) => {
+        const field = t.isAssignmentPattern(parameter) ? parameter.left : parameter;
+        const typeName = getTypeReferenceName(field);
+        if (typeName && t.isIdentifier(field)) {
+          types.set(field.name, typeName);
+        }
+      });
+    }
+  });
+  classPath.traverse({
+    AssignmentExpression(path) {
+      const { left, right } = path.node;
+      const typeName = newClassName(right);
+      if (typeName && t.isMemberExpression(left) && t.isThisExpression(left.object) && t.isIdentifier(left.property) && !left.computed
+        && !types.has(left.property.name)) {
+        types.set(left.property.name, typeName);
+      }
+    },
+  });
+
+  classFieldTypes.set(classPath.node, types);
+  return types;
+}
+
+/**
+ * Gets the class name a node is annotated with, e.g. `person: Person`
+ * @param {object} node - Identifier, parameter or class property AST node
+ * @returns {string|null} - Type name, or null without a plain type reference
+ */
+function getTypeReferenceName(node) {
+  const annotation = node && node.typeAnnotation && node.typeAnnotation.typeAnnotation;
+  return t.isTSTypeReference(annotation) && t.isIdentifier(annotation.typeName) ? annotation.typeName.name : null;
+}
+
+/**
+ * Describes the symbols exported by a `module.exports = ...` assignment
+ * @param {object} value - Assigned expression AST node
+ * @returns {object[]} - CommonJS export symbols (without location)
+ */
+function extractModuleExports(value) {
+  // module.exports = { a, b: helper, c() {} } exports each property by name
+  if (t.isObjectExpression(value)) {
+    return value.properties
+      .filter(prop => t.isObjectProperty(prop) || t.isObjectMethod(prop))
+      .map(prop => describeCjsExport(
+        getPropertyKeyName(prop.key, prop.computed),
+        t.isObjectMethod(prop) ? prop : prop.value,
+        'named',
+      ));
+  }
+  
+  // module.exports = something replaces the whole module, like a default export
+  let name = 'module.exports';
+  if (t.isIdentifier(value)) {
+    name = value.name;
+  } else if ((t.isFunctionExpression(value) || t.isClassExpression(value)) && value.id) {
+    name = value.id.name;
+  }
+  return [describeCjsExport(name, value, 'default')];
+}
+
+/**
+ * Describes a single CommonJS export
+ * @param {string} name - Exported name
+ * @param {object} value - Exported expression AST node
+ * @param {string} exported - "named" or "default"
+ * @returns {object} - CommonJS export symbol (without location)
+ */
+function describeCjsExport(name, value, exported) {
+  const cjsExport = {
+    name,
+    type: 'cjsExport',
+  };
+  
+  if (t.isIdentifier(value)) {
+    cjsExport.localName = value.name;
+  } else if (t.isFunction(value)) {
+    cjsExport.params = extractParams(value.params, null);
+    cjsExport.returnType = extractTypeAnnotation(value.returnType);
+  } else if (isRequireCall(value)) {
+    cjsExport.source = value.arguments[0].value;
+  }
+  
+  cjsExport.exported = exported;
+  return cjsExport;
+}
+
+/**
+ * Determines whether the declaration at the given path is exported inline
+ * @param {object} path - Babel path of a declaration
+ * @returns {string} - "named", "default" or "none"
+ */
+function getExportKind(path) {
+  // `export const x = ...` wraps the VariableDeclaration, not the declarator
+  const statement = t.isVariableDeclarator(path.node) ? path.parentPath : path;
+  
+  if (t.isExportNamedDeclaration(statement.parent)) {
+    return 'named';
+  }
+  if (t.isExportDefaultDeclaration(statement.parent)) {
+    return 'default';
+  }
+  return 'none';
+}
+
+/**
+ * Finds the JSDoc block documenting the declaration at the given path
+ * @param {object} path - Babel path of a declaration
+ * @returns {object|null} - Parsed JSDoc
+ */
+function findJSDoc(path) {
+  // Comments attach to the outermost statement: `export const x = ...` puts them on the export
+  const candidates = [path.node];
+  let current = path;
+  if (t.isVariableDeclarator(current.node) && current.parentPath) {
+    current = current.parentPath;
+    candidates.push(current.node);
+  }
+  if (current.parentPath && (t.isExportNamedDeclaration(current.parent) || t.isExportDefaultDeclaration(current.parent))) {
+    candidates.push(current.parent);
+  }
+  
+  for (const node of candidates.reverse()) {
+    const jsdoc = getJSDocFromNode(node);
+    if (jsdoc) {
+      return jsdoc;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Parses the closest leading JSDoc comment of a node
+ * @param {object} node - AST node
+ * @returns {object|null} - Parsed JSDoc
+ */
+function getJSDocFromNode(node) {
+  const comments = node.leadingComments || [];
+  for (let i = comments.length - 1; i >= 0; i--) {
+    if (comments[i].type === 'CommentBlock') {
+      const jsdoc = parseJSDoc(comments[i].value);
+      // A standalone @typedef block does not document the following declaration
+      if (jsdoc && !(jsdoc.typedefs.length > 0 && !jsdoc.params.length && !jsdoc.returns)) {
+        return jsdoc;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds the doc field of a symbol from its JSDoc
+ * @param {object|null} jsdoc - Parsed JSDoc
+ * @returns {object} - Object to spread into the symbol
+ */
+function extractDoc(jsdoc) {
+  return jsdoc && jsdoc.description ? { doc: jsdoc.description } : {};
+}
+
+/**
+ * Extracts parameter information for a parameter list, merging in JSDoc @param tags
+ * @param {object[]} params - Parameter AST nodes
+ * @param {object|null} jsdoc - Parsed JSDoc of the function
+ * @returns {object[]} - Parameter metadata
+ */
+function extractParams(params, jsdoc) {
+  const docParams = jsdoc ? jsdoc.params : [];
+  const topLevelDocs = docParams.filter(docParam => !docParam.name.includes('.'));
+  
+  return params.map((param, index) => {
+    const info = extractParamInfo(param);
+    const bareName = info.name.replace(/^\.\.\./, '');
+    // Destructured params have no name of their own, so fall back to the tag in the same position
+    const docParam = topLevelDocs.find(docItem => docItem.name === bareName)
+      || (['objectPattern', 'arrayPattern'].includes(info.name) ? topLevelDocs[index] : null);
+    
+    if (!docParam) {
+      return info;
+    }
+    
+    if (info.type === 'any' && docParam.type) {
+      info.type = docParam.type;
+    }
+    if (docParam.description) {
+      info.doc = docParam.description;
+    }
+    if (docParam.optional && !info.hasDefault) {
+      info.optional = true;
+    }
+    
+    // Properties documented as `@param {string} options.name` describe destructured fields
+    if (info.properties) {
+      info.properties.forEach(prop => {
+        const propDoc = docParams.find(docItem => docItem.name === `${docParam.name}.${prop.name}`);
+        if (propDoc && prop.type === 'any' && propDoc.type) {
+          prop.type = propDoc.type;
+        }
+      });
+    }
+    
+    return info;
+  });
+}
+
 /**
  * Extracts parameter information from AST nodes
  * @param {object} param - Parameter AST node
@@ -189,20 +1207,24 @@ function extractParamInfo(param) {
     return {
       name: param.name,
       type: extractTypeAnnotation(param.typeAnnotation),
+      // TypeScript `name?: type`
+      ...(param.optional && { optional: true }),
     };
   }
   
   if (t.isAssignmentPattern(param)) {
+    const info = extractParamInfo(param.left);
     return {
-      name: t.isIdentifier(param.left) ? param.left.name : 'destructured',
+      ...info,
+      name: t.isIdentifier(param.left) ? param.left.name : info.name,
       hasDefault: true,
-      type: extractTypeAnnotation(param.left.typeAnnotation),
     };
   }
   
   if (t.isObjectPattern(param)) {
     return {
       name: 'objectPattern',
+      type: extractTypeAnnotation(param.typeAnnotation),
       properties: param.properties.map(prop => {
         if (t.isObjectProperty(prop)) {
           return {
@@ -218,6 +1240,7 @@ function extractParamInfo(param) {
   if (t.isArrayPattern(param)) {
     return {
       name: 'arrayPattern',
+      type: extractTypeAnnotation(param.typeAnnotation),
       elements: param.elements.map(element => {
         if (element && t.isIdentifier(element)) {
           return {
@@ -230,6 +1253,15 @@ function extractParamInfo(param) {
     };
   }
   
+  // TypeScript parameter properties: `constructor(private readonly svc: Svc)` also declares a field
+  if (t.isTSParameterProperty(param)) {
+    return {
+      ...extractParamInfo(param.parameter),
+      ...(param.accessibility && { accessibility: param.accessibility }),
+      ...(param.readonly && { readonly: true }),
+    };
+  }
+  
   if (t.isRestElement(param)) {
     return {
       name: t.isIdentifier(param.argument) ? `...${param.argument.name}` : '...rest',
@@ -240,28 +1272,43 @@ function extractParamInfo(param) {
   return { name: 'unknown' };
 }
 
+/**
+ * Gets the name of a class member from its key
+ * @param {object} key - Key AST node
+ * @returns {string} - Name, "#name" for private names, or "computed"
+ */
+function getClassMemberName(key) {
+  if (t.isIdentifier(key)) {
+    return key.name;
+  }
+  if (t.isStringLiteral(key)) {
+    return key.value;
+  }
+  return t.isPrivateName(key) ? `#${key.id.name}` : 'computed';
+}
+
 /**
  * Extracts type annotation from AST nodes
  * @param {object} typeAnnotation - Type annotation AST node
+ * @param {string} [jsdocType] - Type from JSDoc, used when there is no TypeScript annotation
  * @returns {string} - Type as string
  */
-function extractTypeAnnotation(typeAnnotation) {
+function extractTypeAnnotation(typeAnnotation, jsdocType) {
   if (!typeAnnotation) {
-    return 'any';
+    return jsdocType || 'any';
   }
   
-  const annotation = typeAnnotation.typeAnnotation || typeAnnotation;
-  
-  if (t.isTSTypeAnnotation(annotation)) {
-    return getTSTypeName(annotation.typeAnnotation);
+  // Nodes may hold either the TSTypeAnnotation wrapper or the bare type
+  if (t.isTSTypeAnnotation(typeAnnotation)) {
+    return getTSTypeName(typeAnnotation.typeAnnotation);
   }
   
-  if (t.isFlowTypeAnnotation(annotation)) {
-    // Handle Flow types if needed
-    return 'any';
+  if (t.isTSType(typeAnnotation)) {
+    return getTSTypeName(typeAnnotation);
   }
   
-  return 'any';
+  // Flow types are not handled yet
+  return jsdocType || 'any';
 }
 
 /**
@@ -270,44 +1317,138 @@ function extractTypeAnnotation(typeAnnotation) {
  * @returns {string} - Type as string
  */
 function getTSTypeName(tsType) {
-  if (!tsType) return 'any';
-  
-  if (t.isTSStringKeyword(tsType)) return 'string';
-  if (t.isTSNumberKeyword(tsType)) return 'number';
-  if (t.isTSBooleanKeyword(tsType)) return 'boolean';
-  if (t.isTSAnyKeyword(tsType)) return 'any';
-  if (t.isTSVoidKeyword(tsType)) return 'void';
-  if (t.isTSNullKeyword(tsType)) return 'null';
-  if (t.isTSUndefinedKeyword(tsType)) return 'undefined';
-  if (t.isTSNeverKeyword(tsType)) return 'never';
-  if (t.isTSUnknownKeyword(tsType)) return 'unknown';
+  return printTSType(tsType, typePrinterOptions);
+}
+
+/**
+ * Extracts a member of an interface body or type literal
+ * @param {object} member - TypeScript type element AST node
+ * @returns {object} - Member metadata
+ */
+function extractTypeMember(member) {
+  const jsdoc = getJSDocFromNode(member);
+  const info = {};
   
-  if (t.isTSArrayType(tsType)) {
-    return `${getTSTypeName(tsType.elementType)}[]`;
+  if (t.isTSPropertySignature(member)) {
+    info.name = getPropertyKeyName(member.key, member.computed);
+    info.kind = 'property';
+    info.type = extractTypeAnnotation(member.typeAnnotation, jsdoc?.type);
+  } else if (t.isTSMethodSignature(member)) {
+    info.name = getPropertyKeyName(member.key, member.computed);
+    info.kind = member.kind === 'method' ? 'method' : member.kind; // "method", "get" or "set"
+    info.params = extractParams(member.parameters, jsdoc);
+    info.returnType = extractTypeAnnotation(member.typeAnnotation, jsdoc?.returns?.type);
+  } else if (t.isTSIndexSignature(member)) {
+    info.name = 'index';
+    info.kind = 'index';
+    info.params = extractParams(member.parameters, jsdoc);
+    info.type = extractTypeAnnotation(member.typeAnnotation);
+  } else if (t.isTSCallSignatureDeclaration(member) || t.isTSConstructSignatureDeclaration(member)) {
+    const isConstruct = t.isTSConstructSignatureDeclaration(member);
+    info.name = isConstruct ? 'new' : 'call';
+    info.kind = isConstruct ? 'construct' : 'call';
+    info.params = extractParams(member.parameters, jsdoc);
+    info.returnType = extractTypeAnnotation(member.typeAnnotation, jsdoc?.returns?.type);
+  } else {
+    return { name: 'unknown', kind: 'unknown' };
   }
   
-  if (t.isTSTypeReference(tsType)) {
-    if (t.isIdentifier(tsType.typeName)) {
-      const name = tsType.typeName.name;
-      if (tsType.typeParameters) {
-        const params = tsType.typeParameters.params
-          .map(getTSTypeName)
-          .join(', ');
-        return `${name}<${params}>`;
-      }
-      return name;
-    }
+  if (member.optional) {
+    info.optional = true;
   }
-  
-  if (t.isTSUnionType(tsType)) {
-    return tsType.types.map(getTSTypeName).join(' | ');
+  if (member.readonly) {
+    info.readonly = true;
   }
   
-  if (t.isTSIntersectionType(tsType)) {
-    return tsType.types.map(getTSTypeName).join(' & ');
+  return {
+    ...info,
+    ...extractDoc(jsdoc),
+  };
+}
+
+/**
+ * Extracts generic type parameters such as `<T extends Foo = Bar>`
+ * @param {object} typeParameters - Type parameter declaration AST node
+ * @returns {object[]} - Type parameter metadata
+ */
+function extractTypeParameters(typeParameters) {
+  if (!typeParameters || !typeParameters.params) {
+    return [];
   }
   
-  return 'any';
+  return typeParameters.params.map(param => {
+    const info = { name: typeof param.name === 'string' ? param.name : param.name.name };
+    if (param.constraint) {
+      info.constraint = getTSTypeName(param.constraint);
+    }
+    if (param.default) {
+      info.default = getTSTypeName(param.default);
+    }
+    return info;
+  });
+}
+
+/**
+ * Builds the typeParameters field of a generic declaration, left out when there are none
+ * @param {object} typeParameters - Type parameter declaration AST node
+ * @returns {object} - Object to spread into the symbol
+ */
+function extractGenerics(typeParameters) {
+  const params = extractTypeParameters(typeParameters);
+  return params.length > 0 ? { typeParameters: params } : {};
+}
+
+/**
+ * Gets the dotted name of an identifier or qualified name such as `React.Component`
+ * @param {object} node - Identifier, TSQualifiedName or MemberExpression AST node
+ * @returns {string} - Entity name
+ */
+function getEntityName(node) {
+  if (t.isIdentifier(node)) {
+    return node.name;
+  }
+  if (t.isTSQualifiedName(node)) {
+    return `${getEntityName(node.left)}.${getEntityName(node.right)}`;
+  }
+  if (t.isMemberExpression(node) && !node.computed) {
+    return `${getEntityName(node.object)}.${getEntityName(node.property)}`;
+  }
+  return 'unknown';
+}
+
+/**
+ * Gets the name of a property key
+ * @param {object} key - Key AST node
+ * @param {boolean} computed - Whether the key is computed
+ * @returns {string} - Key name
+ */
+function getPropertyKeyName(key, computed) {
+  if (!computed && t.isIdentifier(key)) {
+    return key.name;
+  }
+  if (t.isStringLiteral(key) || t.isNumericLiteral(key)) {
+    return String(key.value);
+  }
+  return 'computed';
+}
+
+/**
+ * Gets the value of a literal initializer, falling back to its source text
+ * @param {object} node - Expression AST node
+ * @param {string} content - File content
+ * @returns {string|number|boolean|null} - Literal value or source text
+ */
+function getLiteralValue(node, content) {
+  if (t.isStringLiteral(node) || t.isNumericLiteral(node) || t.isBooleanLiteral(node)) {
+    return node.value;
+  }
+  if (t.isUnaryExpression(node, { operator: '-' }) && t.isNumericLiteral(node.argument)) {
+    return -node.argument.value;
+  }
+  if (t.isTemplateLiteral(node) && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  return content.slice(node.start, node.end);
 }
 
 /**
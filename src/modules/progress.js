@@ -0,0 +1,55 @@
+import { trace } from '../logger.js';
+
+// Terminal updates are throttled so that redrawing does not slow down fast runs
+const REDRAW_INTERVAL_MS = 100;
+
+// Without a terminal, a line is written at every tenth of the work
+const LOG_STEPS = 10;
+
+/**
+ * Creates a progress reporter that writes to stderr, so it never mixes with output on stdout
+ * @param {string} label - What is being counted, such as "Parsing files"
+ * @param {number} total - Number of items
+ * @param {object} [stream] - Writable stream (default process.stderr)
+ * @returns {object} - { tick(): counts one item, done(): writes the final count }
+ */
+export const createProgress = trace(function createProgress(label, total, stream = process.stderr) {
+  let completed = 0;
+  let lastDraw = 0;
+  let lastStep = 0;
+
+  const draw = () => {
+    stream.write(`\r${label}: ${completed}/${total}`);
+  };
+
+  return {
+    tick() {
+      completed += 1;
+      if (stream.isTTY) {
+        const now = Date.now();
+        if (now - lastDraw >= REDRAW_INTERVAL_MS) {
+          lastDraw = now;
+          draw();
+        }
+        return;
+      }
+      const step = Math.floor((completed / total) * LOG_STEPS);
+      if (step > lastStep && completed < total) {
+        lastStep = step;
+        stream.write(`${label}: ${completed}/${total}\n`);
+      }
+    },
+    done() {
+      if (stream.isTTY) {
+        draw();
+        stream.write('\n');
+      } else {
+        stream.write(`${label}: ${completed}/${total}\n`);
+      }
+    },
+  };
+});
+
+export default {
+  createProgress,
+};
@@ -0,0 +1,511 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { builtinModules } from 'module';
+import logger, { trace } from '../logger.js';
+
+// Extensions tried, in order, for extensionless specifiers and directory index files
+const RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.d.ts', '.js', '.jsx', '.mjs', '.cjs'];
+
+// Conditions honoured in package.json "exports" and "imports" maps
+const PACKAGE_CONDITIONS = ['types', 'import', 'require', 'node', 'module', 'default'];
+
+/**
+ * Resolves every dependency specifier in the manifest to a manifest file or an external package,
+ * and adds a project-level dependency graph
+ * @param {object} manifest - Manifest produced by buildManifest
+ * @param {object} [options] - Resolution options
+ * @param {string[]} [options.knownFiles] - Absolute paths of project files left out of the manifest that
+ *   imports may still resolve to
+ * @returns {Promise<object>} - Manifest with `resolved` on each dependency and a `graph` section
+ */
+export const resolveDependencies = trace(async function resolveDependencies(manifest, options = {}) {
+  const { knownFiles = [] } = options;
+  const rootPath = manifest.rootPath;
+  const context = {
+    rootPath,
+    files: new Set([
+      ...manifest.files.map(file => toPosix(file.path)),
+      ...knownFiles.map(filePath => toPosix(path.relative(rootPath, filePath))),
+    ]),
+    tsconfig: await loadTsConfig(rootPath),
+    packageJson: await loadPackageJson(rootPath),
+  };
+
+  const nodes = manifest.files.map(file => ({ id: toPosix(file.path), kind: 'file' }));
+  const externalNodes = new Map();
+  // A file importing the same module twice, e.g. a value import and a type import, adds one edge
+  const edges = new Map();
+
+  const files = [];
+  for (const file of manifest.files) {
+    const from = toPosix(file.path);
+    const dependencies = [];
+
+    for (const dependency of file.dependencies) {
+      const resolved = await resolveSpecifier(dependency.source, from, context);
+      dependencies.push({ ...dependency, resolved });
+
+      const to = resolved.kind === 'file' ? resolved.path : getExternalId(dependency.source, from, resolved);
+      if (resolved.kind !== 'file' && !externalNodes.has(to)) {
+        externalNodes.set(to, { id: to, kind: resolved.kind });
+      }
+      const key = `${from}\u0000${to}\u0000${dependency.type}`;
+      const typeOnly = dependency.importKind === 'type';
+      if (!edges.has(key)) {
+        edges.set(key, { from, to, type: dependency.type, ...(typeOnly && { typeOnly }) });
+      } else if (!typeOnly) {
+        // A value import alongside a type import still links the modules at runtime
+        delete edges.get(key).typeOnly;
+      }
+    }
+
+    files.push({ ...file, dependencies });
+  }
+
+  return {
+    ...manifest,
+    files,
+    graph: {
+      nodes: [...nodes, ...externalNodes.values()],
+      edges: [...edges.values()],
+    },
+  };
+});
+
+/**
+ * Gets the graph node id of a dependency that is not a manifest file
+ * @param {string} specifier - Import source
+ * @param {string} fromPath - Manifest path of the importing file
+ * @param {object} resolved - Resolution result
+ * @returns {string} - Node id
+ */
+function getExternalId(specifier, fromPath, resolved) {
+  if (resolved.package) {
+    return resolved.package;
+  }
+  // Unresolved relative imports are identified by the path they point at
+  return isRelative(specifier) ? path.posix.join(path.posix.dirname(fromPath), specifier) : specifier;
+}
+
+/**
+ * Checks whether a specifier is relative to the importing file
+ * @param {string} specifier - Import source
+ * @returns {boolean} - True for "./" and "../" specifiers
+ */
+function isRelative(specifier) {
+  return specifier.startsWith('./') || specifier.startsWith('../') || specifier === '.' || specifier === '..';
+}
+
+/**
+ * Resolves a single import specifier
+ * @param {string} specifier - Import source as written in the file
+ * @param {string} fromPath - Manifest path of the importing file
+ * @param {object} context - Resolution context
+ * @returns {Promise<object>} - Resolution result: { kind, path?, package? }
+ */
+async function resolveSpecifier(specifier, fromPath, context) {
+  // Relative imports resolve against the importing file
+  if (isRelative(specifier)) {
+    const target = path.posix.join(path.posix.dirname(fromPath), specifier);
+    return toResult(await resolveFile(target, context));
+  }
+
+  if (specifier.startsWith('node:') || isBuiltin(specifier)) {
+    return { kind: 'builtin', package: specifier.replace(/^node:/, '').split('/')[0] };
+  }
+
+  // Subpath imports: "#internal/*" mapped in package.json "imports"
+  if (specifier.startsWith('#') && context.packageJson) {
+    const targets = matchPackageMap(context.packageJson.data.imports, specifier);
+    return toResult(await resolvePackageTargets(targets, context));
+  }
+
+  // tsconfig "paths" aliases and "baseUrl"
+  const aliased = await resolveTsConfigPath(specifier, context);
+  if (aliased) {
+    return { kind: 'file', path: aliased };
+  }
+
+  // Self-reference through the package's own "exports"
+  const packageName = getPackageName(specifier);
+  if (context.packageJson && context.packageJson.data.name === packageName && context.packageJson.data.exports) {
+    const subpath = `.${specifier.slice(packageName.length)}`;
+    const file = await resolvePackageTargets(matchPackageExports(context.packageJson.data.exports, subpath), context);
+    if (file) {
+      return { kind: 'file', path: file };
+    }
+  }
+
+  if (context.packageJson && isDeclaredDependency(context.packageJson.data, packageName)) {
+    return { kind: 'dependency', package: packageName };
+  }
+
+  return { kind: 'unresolved', package: packageName };
+}
+
+/**
+ * Resolves a manifest-relative path using Node-style extension and index resolution
+ * @param {string} target - Manifest-relative path without guaranteed extension
+ * @param {object} context - Resolution context
+ * @returns {Promise<string|null>} - Manifest path, or null if nothing matches
+ */
+async function resolveFile(target, context) {
+  const base = path.posix.normalize(target).replace(/\/$/, '');
+  const candidates = [
+    base,
+    ...RESOLVE_EXTENSIONS.map(ext => `${base}${ext}`),
+  ];
+
+  // TypeScript sources are imported with the extension of their compiled output
+  const compiledExt = base.match(/\.(m|c)?js$/);
+  if (compiledExt) {
+    const stem = base.slice(0, -compiledExt[0].length);
+    const tsExt = compiledExt[1] ? `.${compiledExt[1]}ts` : '.ts';
+    candidates.push(`${stem}${tsExt}`, `${stem}.tsx`);
+  }
+
+  candidates.push(...RESOLVE_EXTENSIONS.map(ext => `${base}/index${ext}`));
+
+  const match = candidates.find(candidate => context.files.has(candidate));
+  if (match) {
+    return match;
+  }
+
+  // A directory with its own package.json points at its entry through "main"
+  const packageJsonPath = path.join(context.rootPath, base, 'package.json');
+  const directoryPackage = await readJson(packageJsonPath);
+  if (directoryPackage && typeof directoryPackage.main === 'string') {
+    const main = path.posix.join(base, directoryPackage.main);
+    if (main !== base) {
+      return resolveFile(main, context);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolves a bare specifier through tsconfig "paths" and "baseUrl"
+ * @param {string} specifier - Import source
+ * @param {object} context - Resolution context
+ * @returns {Promise<string|null>} - Manifest path, or null
+ */
+async function resolveTsConfigPath(specifier, context) {
+  const { tsconfig } = context;
+  if (!tsconfig) {
+    return null;
+  }
+
+  const { paths = {}, baseDir } = tsconfig;
+
+  // Exact patterns win over wildcards; longer prefixes win over shorter ones
+  const patterns = Object.keys(paths).sort((a, b) => {
+    const aWild = a.includes('*');
+    const bWild = b.includes('*');
+    if (aWild !== bWild) return aWild ? 1 : -1;
+    return b.indexOf('*') - a.indexOf('*');
+  });
+
+  for (const pattern of patterns) {
+    const captured = matchPattern(pattern, specifier);
+    if (captured !== null) {
+      for (const replacement of paths[pattern]) {
+        const absolute = path.resolve(baseDir, replacement.replace('*', captured));
+        const file = await resolveFile(toManifestPath(absolute, context), context);
+        if (file) {
+          return file;
+        }
+      }
+    }
+  }
+
+  if (tsconfig.baseUrl) {
+    const absolute = path.resolve(baseDir, specifier);
+    return resolveFile(toManifestPath(absolute, context), context);
+  }
+
+  return null;
+}
+
+/**
+ * Resolves the first package.json target that points at a project file
+ * @param {string[]} targets - Targets relative to the package directory, in condition order
+ * @param {object} context - Resolution context
+ * @returns {Promise<string|null>} - Manifest path, or null if no target matches
+ */
+async function resolvePackageTargets(targets, context) {
+  for (const target of targets) {
+    const file = await resolveFile(fromPackageDir(target, context), context);
+    if (file) {
+      return file;
+    }
+  }
+  return null;
+}
+
+/**
+ * Looks up a specifier in a package.json "imports" map
+ * @param {object} imports - The "imports" field
+ * @param {string} specifier - Specifier starting with "#"
+ * @returns {string[]} - Targets relative to the package directory, in condition order
+ */
+function matchPackageMap(imports, specifier) {
+  if (!imports || typeof imports !== 'object') {
+    return [];
+  }
+
+  for (const [key, value] of Object.entries(imports)) {
+    const captured = matchPattern(key, specifier);
+    const targets = captured === null ? [] : listConditionalTargets(value);
+    if (targets.length > 0) {
+      return targets.map(target => target.replace(/\*/g, captured));
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Looks up a subpath in a package.json "exports" field
+ * @param {string|object|Array} exportsField - The "exports" field
+ * @param {string} subpath - Subpath such as "." or "./utils"
+ * @returns {string[]} - Targets relative to the package directory, in condition order
+ */
+function matchPackageExports(exportsField, subpath) {
+  // "exports": "./index.js" or a conditions object only describe the main entry
+  const isSubpathMap = typeof exportsField === 'object' && !Array.isArray(exportsField)
+    && Object.keys(exportsField).some(key => key.startsWith('.'));
+  if (!isSubpathMap) {
+    return subpath === '.' ? listConditionalTargets(exportsField) : [];
+  }
+
+  return matchPackageMap(exportsField, subpath);
+}
+
+/**
+ * Lists the targets of a conditional export that apply to source files. A "types" target may name
+ * a declaration file that is not in the project, so callers try each in turn.
+ * @param {string|object|Array} target - Export target
+ * @returns {string[]} - Target paths, in condition order
+ */
+function listConditionalTargets(target) {
+  if (typeof target === 'string') {
+    return [target];
+  }
+  if (Array.isArray(target)) {
+    return target.flatMap(listConditionalTargets);
+  }
+  if (target && typeof target === 'object') {
+    return Object.entries(target)
+      .filter(([condition]) => PACKAGE_CONDITIONS.includes(condition))
+      .flatMap(([, value]) => listConditionalTargets(value));
+  }
+  return [];
+}
+
+/**
+ * Matches a specifier against a pattern containing at most one "*"
+ * @param {string} pattern - Pattern such as "@/*"
+ * @param {string} specifier - Import source
+ * @returns {string|null} - The text matched by "*" ("" for exact matches), or null
+ */
+function matchPattern(pattern, specifier) {
+  const star = pattern.indexOf('*');
+  if (star === -1) {
+    return pattern === specifier ? '' : null;
+  }
+
+  const prefix = pattern.slice(0, star);
+  const suffix = pattern.slice(star + 1);
+  if (specifier.length >= prefix.length + suffix.length && specifier.startsWith(prefix) && specifier.endsWith(suffix)) {
+    return specifier.slice(prefix.length, specifier.length - suffix.length);
+  }
+  return null;
+}
+
+/**
+ * Loads the nearest tsconfig.json, following relative "extends"
+ * @param {string} rootPath - Project root path
+ * @returns {Promise<object|null>} - { baseUrl, paths, baseDir } or null
+ */
+async function loadTsConfig(rootPath) {
+  const configPath = await findUp('tsconfig.json', rootPath);
+  if (!configPath) {
+    return null;
+  }
+
+  let compilerOptions = {};
+  let baseDir = path.dirname(configPath);
+  const seen = new Set();
+
+  // Walk the "extends" chain; options from the extending config win
+  let current = configPath;
+  const chain = [];
+  while (current && !seen.has(current)) {
+    seen.add(current);
+    const config = await readJson(current, { allowComments: true });
+    if (!config) break;
+    chain.unshift({ path: current, options: config.compilerOptions || {} });
+    current = typeof config.extends === 'string' && config.extends.startsWith('.')
+      ? path.resolve(path.dirname(current), config.extends.endsWith('.json') ? config.extends : `${config.extends}.json`)
+      : null;
+  }
+
+  chain.forEach(({ path: chainPath, options }) => {
+    // baseUrl and paths are relative to the config that declares them
+    if (options.baseUrl || options.paths) {
+      baseDir = path.resolve(path.dirname(chainPath), options.baseUrl || '.');
+    }
+    compilerOptions = { ...compilerOptions, ...options };
+  });
+
+  return {
+    baseUrl: compilerOptions.baseUrl || null,
+    paths: compilerOptions.paths || {},
+    baseDir,
+  };
+}
+
+/**
+ * Loads the nearest package.json
+ * @param {string} rootPath - Project root path
+ * @returns {Promise<object|null>} - { dir, data } or null
+ */
+async function loadPackageJson(rootPath) {
+  const packagePath = await findUp('package.json', rootPath);
+  if (!packagePath) {
+    return null;
+  }
+
+  const data = await readJson(packagePath);
+  return data ? { dir: path.dirname(packagePath), data } : null;
+}
+
+/**
+ * Finds a file in the given directory or the nearest ancestor that has it
+ * @param {string} filename - File name to look for
+ * @param {string} startDir - Directory to start from
+ * @returns {Promise<string|null>} - Absolute path, or null
+ */
+async function findUp(filename, startDir) {
+  let dir = path.resolve(startDir);
+  for (;;) {
+    const candidate = path.join(dir, filename);
+    try {
+      await fs.access(candidate);
+      return candidate;
+    } catch {
+      const parent = path.dirname(dir);
+      if (parent === dir) {
+        return null;
+      }
+      dir = parent;
+    }
+  }
+}
+
+/**
+ * Reads a JSON file, returning null if it is missing or invalid
+ * @param {string} filePath - Path to the file
+ * @param {object} [options] - Options
+ * @param {boolean} [options.allowComments] - Accept comments and trailing commas (tsconfig style)
+ * @returns {Promise<object|null>} - Parsed JSON
+ */
+async function readJson(filePath, options = {}) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+
+  try {
+    return JSON.parse(options.allowComments ? stripJsonComments(text) : text);
+  } catch (err) {
+    logger.warn({ err, filePath }, 'Ignoring invalid JSON file during resolution');
+    return null;
+  }
+}
+
+/**
+ * Removes comments and trailing commas from JSON text, leaving string contents untouched
+ * @param {string} text - JSON with comments
+ * @returns {string} - Plain JSON
+ */
+function stripJsonComments(text) {
+  return text
+    .replace(/("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || '')
+    .replace(/("(?:\\.|[^"\\])*")|,(\s*[}\]])/g, (match, string, closing) => string || closing);
+}
+
+/**
+ * Checks whether a specifier names a Node.js builtin module
+ * @param {string} specifier - Import source
+ * @returns {boolean} - True for builtins
+ */
+function isBuiltin(specifier) {
+  return builtinModules.includes(specifier) || builtinModules.includes(specifier.split('/')[0]);
+}
+
+/**
+ * Checks whether a package is declared in package.json
+ * @param {object} packageData - Parsed package.json
+ * @param {string} packageName - Package name
+ * @returns {boolean} - True if declared in any dependency field
+ */
+function isDeclaredDependency(packageData, packageName) {
+  return ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies']
+    .some(field => packageData[field] && Object.prototype.hasOwnProperty.call(packageData[field], packageName));
+}
+
+/**
+ * Gets the package name of a bare specifier, e.g. "@scope/pkg" for "@scope/pkg/sub"
+ * @param {string} specifier - Import source
+ * @returns {string} - Package name
+ */
+function getPackageName(specifier) {
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+/**
+ * Converts a package-relative target into a manifest path
+ * @param {string} target - Target such as "./src/utils.js"
+ * @param {object} context - Resolution context
+ * @returns {string} - Manifest-relative path
+ */
+function fromPackageDir(target, context) {
+  return toManifestPath(path.resolve(context.packageJson.dir, target), context);
+}
+
+/**
+ * Converts an absolute path into a manifest-relative POSIX path
+ * @param {string} absolutePath - Absolute path
+ * @param {object} context - Resolution context
+ * @returns {string} - Manifest-relative path
+ */
+function toManifestPath(absolutePath, context) {
+  return toPosix(path.relative(context.rootPath, absolutePath));
+}
+
+/**
+ * Converts a path to forward slashes
+ * @param {string} filePath - Path
+ * @returns {string} - POSIX-style path
+ */
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+/**
+ * Builds the resolution result for a relative or mapped file lookup
+ * @param {string|null} file - Manifest path, or null
+ * @returns {object} - Resolution result
+ */
+function toResult(file) {
+  return file ? { kind: 'file', path: file } : { kind: 'unresolved' };
+}
+
+export default {
+  resolveDependencies,
+};
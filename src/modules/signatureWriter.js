@@ -0,0 +1,322 @@
+import { trace } from '../logger.js';
+import { UserInputError } from '../errors.js';
+import { summarizeDoc } from './jsdoc.js';
+
+/**
+ * Output formats rendered by renderSignatureSheet
+ */
+export const SIGNATURE_FORMATS = ['text', 'markdown'];
+
+// Longest doc summary appended to a declaration line
+const MAX_DOC_LENGTH = 80;
+
+/**
+ * Renders a manifest as a signature sheet: one heading per file, an imports line, and a
+ * TypeScript-like declaration line per symbol
+ * @param {object} manifest - Manifest (full, LLM-optimized or exports-only)
+ * @param {object} options - Render options
+ * @param {string} options.format - "text" or "markdown"
+ * @returns {string} - Rendered sheet
+ */
+export const renderSignatureSheet = trace(function renderSignatureSheet(manifest, options) {
+  const { format } = options;
+  if (!SIGNATURE_FORMATS.includes(format)) {
+    throw new UserInputError(`Unknown signature format: ${format}. Expected one of: ${SIGNATURE_FORMATS.join(', ')}`);
+  }
+
+  const sections = manifest.files.map(file => {
+    const declarations = file.symbols.flatMap(symbol => formatSymbol(symbol, ''));
+    const imports = formatImports(file.dependencies || []);
+    const heading = `${file.path}${file.context ? ' (context)' : ''}`;
+
+    if (format === 'markdown') {
+      return [
+        `## ${heading}`,
+        ...(imports ? ['', `Imports: ${imports}`] : []),
+        ...(declarations.length > 0 ? ['', '```ts', ...declarations, '```'] : []),
+      ].join('\n');
+    }
+    return [
+      `# ${heading}`,
+      ...(imports ? [`imports: ${imports}`] : []),
+      ...declarations,
+    ].join('\n');
+  });
+
+  // Say what --max-tokens left out, so readers know the sheet is incomplete
+  if (manifest.omitted) {
+    const prefix = format === 'markdown' ? '> ' : '// ';
+    const steps = manifest.omitted.steps.map(({ step, removed }) => `${step} (${removed})`).join(', ');
+    const directories = manifest.omitted.steps.filter(step => step.directories)
+      .flatMap(step => Object.entries(step.directories).map(([directory, count]) => `${directory} (${count})`));
+    sections.unshift([
+      `${prefix}Omitted to fit ${manifest.omitted.maxTokens} tokens: ${steps}`,
+      ...(directories.length > 0 ? [`${prefix}Omitted files by directory: ${directories.join(', ')}`] : []),
+    ].join('\n'));
+  }
+
+  return `${sections.join('\n\n')}\n`;
+});
+
+/**
+ * Formats a symbol the way the signature sheet shows it
+ * @param {object} symbol - Symbol
+ * @returns {string[]} - Declaration lines; namespace members and nested locals follow indented
+ */
+export const formatSymbolSignature = trace(function formatSymbolSignature(symbol) {
+  return formatSymbol(symbol, '');
+});
+
+/**
+ * Formats a class method the way the signature sheet shows it inside its class
+ * @param {object} method - Method
+ * @returns {string} - Text such as "static get name(): string"
+ */
+export const formatMethodSignature = trace(function formatMethodSignature(method) {
+  return formatMethod(method);
+});
+
+/**
+ * Formats a file's dependencies as one line, e.g. "./utils.js { formatDate }, react { React, useState }, path { * as path }"
+ * @param {object[]} dependencies - Dependencies of the file
+ * @returns {string} - Imports line, or an empty string when there are none
+ */
+export const formatImports = trace(function formatImports(dependencies) {
+  const bySource = new Map();
+  dependencies.forEach(dependency => {
+    if (!bySource.has(dependency.source)) {
+      bySource.set(dependency.source, new Set());
+    }
+    (dependency.specifiers || []).forEach(specifier => {
+      // Default and namespace imports are known by their local names; `export * as ns` has only the exported one
+      if (specifier.type === 'namespace') {
+        bySource.get(dependency.source).add(`* as ${specifier.local || specifier.exported}`);
+      } else if (specifier.type === 'default') {
+        bySource.get(dependency.source).add(specifier.local);
+      } else {
+        bySource.get(dependency.source).add(specifier.imported);
+      }
+    });
+  });
+
+  return [...bySource].map(([source, names]) => (names.size > 0 ? `${source} { ${[...names].join(', ')} }` : source))
+    .join(', ');
+});
+
+/**
+ * Formats a symbol as declaration lines; namespaces and nested locals take several lines
+ * @param {object} symbol - Symbol
+ * @param {string} indent - Indentation of the first line
+ * @returns {string[]} - Lines
+ */
+function formatSymbol(symbol, indent) {
+  const doc = symbol.doc ? ` // ${summarizeDoc(symbol.doc, MAX_DOC_LENGTH)}` : '';
+  // `export default const x` is not valid, so default-exported variables say so after the declaration
+  const defaultSuffix = symbol.type === 'const' && symbol.exported === 'default' ? `; export default ${symbol.name}` : '';
+  const line = `${indent}${formatExportPrefix(symbol)}${formatDeclaration(symbol)}${defaultSuffix}${doc}`;
+
+  if (symbol.type === 'namespace') {
+    const members = (symbol.members || []).flatMap(member => formatSymbol(member, `${indent}  `));
+    return [`${line.replace(/ \/\/ .*$/, '')} {${doc}`, ...members, `${indent}}`];
+  }
+
+  const locals = (symbol.locals || []).flatMap(local => formatSymbol(local, `${indent}  `));
+  return [line, ...locals];
+}
+
+/**
+ * Gets the export keyword(s) a declaration is written with
+ * @param {object} symbol - Symbol
+ * @returns {string} - "export ", "export default " or ""
+ */
+function formatExportPrefix(symbol) {
+  // These symbol types spell out their own export syntax
+  if (['export', 'reexport', 'exportAll', 'cjsExport'].includes(symbol.type)) {
+    return '';
+  }
+  if (symbol.exported === 'default') {
+    return symbol.type === 'const' ? '' : 'export default ';
+  }
+  return symbol.exported === 'named' ? 'export ' : '';
+}
+
+/**
+ * Formats the declaration of a symbol without its export keyword
+ * @param {object} symbol - Symbol
+ * @returns {string} - Declaration such as "function add(a: number, b: number): number"
+ */
+function formatDeclaration(symbol) {
+  const generics = formatTypeParameters(symbol.typeParameters);
+
+  switch (symbol.type) {
+    case 'fn':
+      return `function ${symbol.name}${generics}${formatParams(symbol.params)}${formatType(symbol.returnType)}`;
+    case 'class': {
+      const members = [
+        ...(symbol.fields || []).map(field => `${formatModifiers(field)}${field.name}${formatType(field.type)}`),
+        ...(symbol.methods || []).map(formatMethod),
+      ];
+      const heritage = symbol.extends ? ` extends ${symbol.extends}` : '';
+      return `${symbol.abstract ? 'abstract ' : ''}class ${symbol.name}${generics}${heritage} { ${members.join('; ')}${members.length > 0 ? ' ' : ''}}`;
+    }
+    case 'const':
+      return `const ${symbol.name}${formatType(symbol.valueType)}`;
+    case 'typedef': {
+      const properties = (symbol.properties || []).map(prop => `${prop.name}${prop.optional ? '?' : ''}${formatType(prop.type)}`);
+      return properties.length > 0
+        ? `type ${symbol.name} = { ${properties.join('; ')} }`
+        : `type ${symbol.name} = ${symbol.definition || 'any'}`;
+    }
+    case 'interface': {
+      const members = (symbol.members || []).map(formatTypeMember);
+      const heritage = symbol.extends && symbol.extends.length > 0 ? ` extends ${symbol.extends.join(', ')}` : '';
+      return `interface ${symbol.name}${generics}${heritage} { ${members.join('; ')}${members.length > 0 ? ' ' : ''}}`;
+    }
+    case 'typeAlias':
+      return `type ${symbol.name}${generics} = ${symbol.definition}`;
+    case 'enum': {
+      const members = (symbol.members || []).map(member => (member.value !== undefined && member.value !== null
+        ? `${member.name} = ${JSON.stringify(member.value)}`
+        : member.name));
+      return `${symbol.const ? 'const ' : ''}enum ${symbol.name} { ${members.join(', ')} }`;
+    }
+    case 'namespace':
+      if (symbol.kind === 'global') {
+        return 'declare global';
+      }
+      return `${symbol.declare ? 'declare ' : ''}${symbol.kind === 'module' ? `module '${symbol.name}'` : `namespace ${symbol.name}`}`;
+    case 'export':
+      return formatExportList(symbol.localName, symbol.name, symbol.exported);
+    case 'reexport':
+      return `${formatExportList(symbol.imported, symbol.name, symbol.exported)} from '${symbol.source}'`;
+    case 'exportAll':
+      return `export * from '${symbol.source}'`;
+    case 'cjsExport': {
+      const target = symbol.exported === 'default' ? 'module.exports' : `exports.${symbol.name}`;
+      if (symbol.params) {
+        return `${target} = function${formatParams(symbol.params)}${formatType(symbol.returnType)}`;
+      }
+      if (symbol.source) {
+        return `${target} = require('${symbol.source}')`;
+      }
+      return `${target} = ${symbol.localName || symbol.name}`;
+    }
+    default:
+      return `${symbol.type} ${symbol.name}`;
+  }
+}
+
+/**
+ * Formats an `export { local as exported }` list with a single entry
+ * @param {string} localName - Name in the module (or "*" for a namespace re-export)
+ * @param {string} exportedName - Exported name
+ * @param {string} exported - Export kind
+ * @returns {string} - Export statement without its source
+ */
+function formatExportList(localName, exportedName, exported) {
+  if (localName === '*') {
+    return `export * as ${exportedName}`;
+  }
+  const name = exported === 'default' ? 'default' : exportedName;
+  return `export { ${localName && localName !== name ? `${localName} as ${name}` : name} }`;
+}
+
+/**
+ * Formats a class method
+ * @param {object} method - Method
+ * @returns {string} - Text such as "static get name(): string"
+ */
+function formatMethod(method) {
+  const accessor = method.kind === 'get' || method.kind === 'set' ? `${method.kind} ` : '';
+  const returnType = method.kind === 'constructor' ? '' : formatType(method.returnType);
+  return `${formatModifiers(method)}${accessor}${method.name}${formatTypeParameters(method.typeParameters)}${formatParams(method.params)}${returnType}`;
+}
+
+/**
+ * Formats the modifiers of a class member
+ * @param {object} member - Field or method
+ * @returns {string} - Text such as "private static "
+ */
+function formatModifiers(member) {
+  return `${member.accessibility && member.accessibility !== 'public' ? `${member.accessibility} ` : ''}${member.static ? 'static ' : ''}${member.abstract ? 'abstract ' : ''}`;
+}
+
+/**
+ * Formats an interface member
+ * @param {object} member - Member
+ * @returns {string} - Text such as "name?: string" or "greet(other): string"
+ */
+function formatTypeMember(member) {
+  const readonly = member.readonly ? 'readonly ' : '';
+  const optional = member.optional ? '?' : '';
+  switch (member.kind) {
+    case 'index':
+      return `${readonly}[${(member.params || []).map(formatParam).join(', ')}]${formatType(member.type)}`;
+    case 'call':
+      return `${formatParams(member.params)}${formatType(member.returnType)}`;
+    case 'construct':
+      return `new ${formatParams(member.params)}${formatType(member.returnType)}`;
+    case 'method':
+    case 'get':
+    case 'set':
+      return `${member.kind === 'method' ? '' : `${member.kind} `}${member.name}${optional}${formatParams(member.params)}${formatType(member.returnType)}`;
+    default:
+      return `${readonly}${member.name}${optional}${formatType(member.type)}`;
+  }
+}
+
+/**
+ * Formats a parameter list
+ * @param {object[]} [params] - Parameters
+ * @returns {string} - Text such as "(a: number, b?)"
+ */
+function formatParams(params) {
+  return `(${(params || []).map(formatParam).join(', ')})`;
+}
+
+/**
+ * Formats one parameter; destructured parameters list their properties or elements
+ * @param {object} param - Parameter
+ * @returns {string} - Text such as "b?: number" or "{ id, name }"
+ */
+function formatParam(param) {
+  let { name } = param;
+  if (param.name === 'objectPattern' && param.properties) {
+    name = `{ ${param.properties.map(prop => prop.name).join(', ')} }`;
+  } else if (param.name === 'arrayPattern' && param.elements) {
+    name = `[${param.elements.map(element => element.name).join(', ')}]`;
+  }
+  // Parameter properties keep their modifiers, as they declare fields too
+  const modifiers = `${param.accessibility ? `${param.accessibility} ` : ''}${param.readonly ? 'readonly ' : ''}`;
+  return `${modifiers}${name}${param.optional || param.hasDefault ? '?' : ''}${formatType(param.type)}`;
+}
+
+/**
+ * Formats type parameters
+ * @param {object[]} [typeParameters] - Type parameters
+ * @returns {string} - Text such as "<T extends object = {}>", or an empty string
+ */
+function formatTypeParameters(typeParameters) {
+  if (!typeParameters || typeParameters.length === 0) {
+    return '';
+  }
+  const params = typeParameters.map(param => `${param.name}${param.constraint ? ` extends ${param.constraint}` : ''}${param.default ? ` = ${param.default}` : ''}`);
+  return `<${params.join(', ')}>`;
+}
+
+/**
+ * Formats a type annotation; unknown types are left out as they say nothing
+ * @param {string} [type] - Type
+ * @returns {string} - Text such as ": string", or an empty string
+ */
+function formatType(type) {
+  return type && type !== 'any' ? `: ${type}` : '';
+}
+
+export default {
+  SIGNATURE_FORMATS,
+  renderSignatureSheet,
+  formatSymbolSignature,
+  formatMethodSignature,
+  formatImports,
+};
@@ -0,0 +1,340 @@
+import path from 'path';
+import { trace } from '../logger.js';
+import { getCallNodeFile } from './callGraph.js';
+
+// Pieces a BPE tokenizer rarely merges across: words broken at case changes, short digit runs,
+// whitespace runs and punctuation runs
+const TOKEN_PIECES = /[A-Z]?[a-z]+|[A-Z]+(?![a-z])|\d{1,3}|\s+|[^\sA-Za-z\d]+/g;
+
+// Longer words take about one token per this many letters
+const LETTERS_PER_TOKEN = 4;
+
+// Common punctuation pairs such as `":` and `},` are single tokens
+const SYMBOLS_PER_TOKEN = 2;
+
+// Directories listed by name when files are omitted; the rest are counted together, so the
+// summary stays small however many files go
+const MAX_OMITTED_DIRECTORIES = 20;
+const OTHER_DIRECTORIES = '(other directories)';
+
+// Ways to shrink the manifest, least informative detail first
+const REDUCTION_STEPS = [
+  { step: 'privateMembers', reduce: dropPrivateMembers },
+  { step: 'paramTypes', reduce: dropParamTypes },
+  { step: 'calls', reduce: dropCalls },
+  { step: 'nonExported', reduce: dropNonExported },
+  { step: 'files', reduce: dropLowCentralityFiles },
+];
+
+/**
+ * Estimates how many tokens a language model tokenizer splits text into
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+export const estimateTokens = trace(function estimateTokens(text) {
+  return (text.match(TOKEN_PIECES) || []).reduce((count, piece) => {
+    if (/^\s/.test(piece)) {
+      // Spaces merge into the next word; a line break with its indentation is one token
+      return count + (piece.includes('\n') ? 1 : 0);
+    }
+    if (/^[A-Za-z]/.test(piece)) {
+      return count + Math.ceil(piece.length / LETTERS_PER_TOKEN);
+    }
+    return count + Math.ceil(piece.length / SYMBOLS_PER_TOKEN);
+  }, 0);
+});
+
+/**
+ * Estimates the tokens of a manifest written as JSON by writeManifest
+ * @param {object} manifest - Manifest
+ * @returns {number} - Estimated token count
+ */
+export const estimateManifestTokens = trace(function estimateManifestTokens(manifest) {
+  return estimateTokens(JSON.stringify(manifest, null, 2));
+});
+
+/**
+ * Removes detail from a manifest until its estimated size fits a token budget. Private class members
+ * go first, then parameter types, then the call graph, then symbols that are not exported, then whole
+ * files, least connected first. Steps stop as soon as the manifest fits.
+ * @param {object} manifest - Manifest to reduce (full or LLM-optimized)
+ * @param {number} maxTokens - Token budget
+ * @param {object} [options] - Budget options
+ * @param {Function} [options.render] - Turns a manifest into the text that is written (default: indented JSON)
+ * @returns {object} - Manifest with an `omitted` section listing the steps taken and what each removed
+ */
+export const fitToTokenBudget = trace(function fitToTokenBudget(manifest, maxTokens, options = {}) {
+  const { render = candidate => JSON.stringify(candidate, null, 2) } = options;
+  const estimate = candidate => estimateTokens(render(candidate));
+  const omitted = { maxTokens, estimatedTokens: 0, steps: [] };
+  // The omitted section is part of the output, so it counts against the budget too
+  const measure = (candidate, pendingStep) => estimate({
+    ...candidate,
+    omitted: pendingStep ? { ...omitted, steps: [...omitted.steps, pendingStep] } : omitted,
+  });
+
+  let current = manifest;
+  let tokens = measure(current);
+
+  REDUCTION_STEPS.forEach(({ step, reduce }) => {
+    if (tokens <= maxTokens) {
+      return;
+    }
+    const { manifest: reduced, removed, directories } = reduce(current, { maxTokens, measure, estimate });
+    // Detail the output does not show, such as calls in signature sheets, is left alone
+    if (removed === 0 || measure(reduced) >= tokens) {
+      return;
+    }
+
+    omitted.steps.push({ step, removed, ...(directories && { directories }) });
+    current = reduced;
+    tokens = measure(current);
+  });
+
+  omitted.estimatedTokens = tokens;
+  return omitted.steps.length > 0 ? { ...current, omitted } : manifest;
+});
+
+/**
+ * Removes private class members: TypeScript `private` ones, `#private` ones and those named with a leading underscore
+ * @param {object} manifest - Manifest
+ * @returns {object} - { manifest, removed: number of members removed }
+ */
+function dropPrivateMembers(manifest) {
+  let removed = 0;
+  const isPrivate = member => member.accessibility === 'private' || /^[_#]/.test(member.name);
+  const keepPublic = members => members.filter(member => {
+    if (isPrivate(member)) {
+      removed += 1;
+      return false;
+    }
+    return true;
+  });
+
+  const files = mapFileSymbols(manifest, symbol => (symbol.type === 'class'
+    ? { ...symbol, methods: keepPublic(symbol.methods || []), fields: keepPublic(symbol.fields || []) }
+    : symbol));
+  return { manifest: { ...manifest, files }, removed };
+}
+
+/**
+ * Removes the types of function, method and interface member parameters
+ * @param {object} manifest - Manifest
+ * @returns {object} - { manifest, removed: number of parameter types removed }
+ */
+function dropParamTypes(manifest) {
+  let removed = 0;
+  const untype = params => params.map(param => {
+    if (param.type === undefined) {
+      return param;
+    }
+    removed += 1;
+    const { type, ...rest } = param;
+    return rest;
+  });
+  const untypeCallable = item => (item.params ? { ...item, params: untype(item.params) } : item);
+
+  const files = mapFileSymbols(manifest, symbol => {
+    const stripped = { ...untypeCallable(symbol) };
+    if (symbol.methods) {
+      stripped.methods = symbol.methods.map(untypeCallable);
+    }
+    if (symbol.type === 'interface' && symbol.members) {
+      stripped.members = symbol.members.map(untypeCallable);
+    }
+    return stripped;
+  });
+  return { manifest: { ...manifest, files }, removed };
+}
+
+/**
+ * Removes the call graph, and the calls recorded on functions and methods of full manifests
+ * @param {object} manifest - Manifest
+ * @returns {object} - { manifest, removed: number of call graph edges removed }
+ */
+function dropCalls(manifest) {
+  if (!manifest.calls) {
+    return { manifest, removed: 0 };
+  }
+  const { calls, ...rest } = manifest;
+  const uncall = ({ calls: symbolCalls, ...item }) => item;
+  const files = mapFileSymbols(rest, symbol => (symbol.methods
+    ? { ...uncall(symbol), methods: symbol.methods.map(uncall) }
+    : uncall(symbol)));
+  return { manifest: { ...rest, files }, removed: calls.edges.length };
+}
+
+/**
+ * Removes symbols that are not exported, keeping every file's public API
+ * @param {object} manifest - Manifest
+ * @returns {object} - { manifest, removed: number of symbols removed }
+ */
+function dropNonExported(manifest) {
+  let removed = 0;
+  const files = manifest.files.map(file => {
+    const symbols = file.symbols.filter(symbol => symbol.exported && symbol.exported !== 'none');
+    removed += file.symbols.length - symbols.length;
+    return { ...file, symbols };
+  });
+  return { manifest: { ...manifest, files }, removed };
+}
+
+/**
+ * Removes whole files, those with the fewest import edges first and larger ones before smaller
+ * ones of equal rank, until the manifest fits, then puts back the ones that still fit
+ * @param {object} manifest - Manifest
+ * @param {object} budget - { maxTokens, measure: estimates a candidate manifest with the omitted section and a pending step,
+ *   estimate: estimates a manifest as rendered }
+ * @returns {object} - { manifest, removed: number of files removed, directories: how many were removed from each
+ *   directory (see summarizeDirectories) }
+ */
+function dropLowCentralityFiles(manifest, { maxTokens, measure, estimate }) {
+  const edges = manifest.graph ? manifest.graph.edges : [];
+  const edgesByFile = new Map();
+  edges.forEach(edge => {
+    new Set([edge.from, edge.to]).forEach(id => {
+      if (!edgesByFile.has(id)) {
+        edgesByFile.set(id, []);
+      }
+      edgesByFile.get(id).push(edge);
+    });
+  });
+  const fileEdges = file => edgesByFile.get(toPosix(file.path)) || [];
+
+  // Centrality is the number of imports to and from other files; a file's cost includes its graph edges
+  const degree = new Map(manifest.files.map(file => [file.path, fileEdges(file).filter(edge => edge.from !== edge.to).length]));
+  const costs = new Map(manifest.files.map(file => [
+    file.path,
+    estimate({ files: [file], graph: { nodes: [], edges: fileEdges(file) } }),
+  ]));
+  const order = [...manifest.files].sort((a, b) => degree.get(a.path) - degree.get(b.path)
+    || costs.get(b.path) - costs.get(a.path)
+    || a.path.localeCompare(b.path));
+
+  // Per-file costs are approximate, so the whole manifest is measured again after each batch
+  const dropped = new Set();
+  let current = manifest;
+  let tokens = measure(current);
+  const remeasure = () => {
+    current = withoutFiles(manifest, dropped);
+    tokens = measure(current, { step: 'files', removed: dropped.size, directories: summarizeDirectories(dropped) });
+  };
+  while (tokens > maxTokens && dropped.size < order.length) {
+    let excess = tokens - maxTokens;
+    for (let i = dropped.size; i < order.length && excess > 0; i++) {
+      dropped.add(order[i].path);
+      excess -= costs.get(order[i].path);
+    }
+    remeasure();
+  }
+
+  // Batches overshoot, so dropped files go back, most central first, wherever their cost still fits; a
+  // file too large for what is left stays out without keeping out the files after it. Costs are added
+  // up rather than measured per file, which would take quadratic time.
+  const restored = [];
+  [...dropped].reverse().forEach(filePath => {
+    if (tokens + costs.get(filePath) <= maxTokens) {
+      dropped.delete(filePath);
+      restored.push(filePath);
+      tokens += costs.get(filePath);
+    }
+  });
+
+  // The last files put back go out again, in batches, if the estimates fell short
+  if (restored.length > 0) {
+    remeasure();
+  }
+  while (tokens > maxTokens && restored.length > 0) {
+    let excess = tokens - maxTokens;
+    while (excess > 0 && restored.length > 0) {
+      const filePath = restored.pop();
+      dropped.add(filePath);
+      excess -= costs.get(filePath);
+    }
+    remeasure();
+  }
+
+  return { manifest: current, removed: dropped.size, directories: summarizeDirectories(dropped) };
+}
+
+/**
+ * Counts removed files per directory, most affected first; past MAX_OMITTED_DIRECTORIES, the
+ * remaining directories are counted under OTHER_DIRECTORIES
+ * @param {Set} paths - Manifest paths of the removed files
+ * @returns {object} - Directory ("." for the root) to number of files removed
+ */
+function summarizeDirectories(paths) {
+  const counts = new Map();
+  paths.forEach(filePath => {
+    const directory = path.posix.dirname(toPosix(filePath));
+    counts.set(directory, (counts.get(directory) || 0) + 1);
+  });
+
+  const ranked = [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  const listed = ranked.slice(0, MAX_OMITTED_DIRECTORIES);
+  const others = ranked.slice(MAX_OMITTED_DIRECTORIES).reduce((sum, [, count]) => sum + count, 0);
+  return Object.fromEntries(others > 0 ? [...listed, [OTHER_DIRECTORIES, others]] : listed);
+}
+
+/**
+ * Removes files from a manifest together with their graph nodes and edges, and their calls
+ * @param {object} manifest - Manifest
+ * @param {Set} paths - Manifest paths of the files to remove
+ * @returns {object} - Manifest without the files
+ */
+function withoutFiles(manifest, paths) {
+  const reduced = { ...manifest, files: manifest.files.filter(file => !paths.has(file.path)) };
+  const ids = new Set([...paths].map(toPosix));
+  if (manifest.graph) {
+    const edges = manifest.graph.edges.filter(edge => !ids.has(edge.from) && !ids.has(edge.to));
+    // Packages only the removed files imported go too
+    const linked = new Set(edges.map(edge => edge.to));
+    reduced.graph = {
+      ...manifest.graph,
+      nodes: manifest.graph.nodes.filter(node => !ids.has(node.id) && (node.kind === 'file' || linked.has(node.id))),
+      edges,
+    };
+  }
+  if (manifest.calls) {
+    const touchesRemoved = id => ids.has(getCallNodeFile(id));
+    const edges = manifest.calls.edges.filter(edge => !touchesRemoved(edge.from) && !touchesRemoved(edge.to));
+    const linked = new Set(edges.flatMap(edge => [edge.from, edge.to]));
+    reduced.calls = { nodes: manifest.calls.nodes.filter(node => linked.has(node.id)), edges };
+  }
+  return reduced;
+}
+
+/**
+ * Applies a function to every symbol of every file, including namespace members and nested locals
+ * @param {object} manifest - Manifest
+ * @param {Function} transform - Takes a symbol and returns its replacement
+ * @returns {object[]} - New files array
+ */
+function mapFileSymbols(manifest, transform) {
+  const mapSymbol = symbol => {
+    const mapped = { ...transform(symbol) };
+    if (mapped.type === 'namespace' && mapped.members) {
+      mapped.members = mapped.members.map(mapSymbol);
+    }
+    if (mapped.locals) {
+      mapped.locals = mapped.locals.map(mapSymbol);
+    }
+    return mapped;
+  };
+  return manifest.files.map(file => ({ ...file, symbols: file.symbols.map(mapSymbol) }));
+}
+
+/**
+ * Converts a path to forward slashes, as used by graph node ids
+ * @param {string} filePath - Path
+ * @returns {string} - POSIX-style path
+ */
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+export default {
+  estimateTokens,
+  estimateManifestTokens,
+  fitToTokenBudget,
+};
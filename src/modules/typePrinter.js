@@ -0,0 +1,404 @@
+/**
+ * Marker inserted where part of a type has been left out to respect the maximum length
+ */
+export const ELISION = '…';
+
+/**
+ * Default maximum length of a printed type
+ */
+export const DEFAULT_MAX_TYPE_LENGTH = 200;
+
+// Characters kept free by joinWithin for closing brackets and the elision marker
+const JOIN_RESERVE = 8;
+
+/**
+ * Prints a TypeScript type AST node as TypeScript source.
+ * Not wrapped in trace(): it runs for every annotation and its argument is an AST node.
+ * @param {object} tsType - TypeScript type AST node
+ * @param {object} [options] - Printer options
+ * @param {number} [options.maxLength] - Maximum length of the result (0 for unlimited)
+ * @returns {string} - Type as string
+ */
+export function printTSType(tsType, options = {}) {
+  const maxLength = options.maxLength === undefined ? DEFAULT_MAX_TYPE_LENGTH : options.maxLength;
+  const printed = printNode(tsType, { maxLength: maxLength > 0 ? maxLength : Infinity });
+  return clip(printed, maxLength > 0 ? maxLength : Infinity);
+}
+
+/**
+ * Prints a type node
+ * @param {object} node - TypeScript type AST node
+ * @param {object} ctx - Printer context
+ * @returns {string} - Type as string
+ */
+function printNode(node, ctx) {
+  if (!node) return 'any';
+
+  switch (node.type) {
+    case 'TSTypeAnnotation':
+      return printNode(node.typeAnnotation, ctx);
+    case 'TSStringKeyword': return 'string';
+    case 'TSNumberKeyword': return 'number';
+    case 'TSBooleanKeyword': return 'boolean';
+    case 'TSBigIntKeyword': return 'bigint';
+    case 'TSSymbolKeyword': return 'symbol';
+    case 'TSObjectKeyword': return 'object';
+    case 'TSAnyKeyword': return 'any';
+    case 'TSVoidKeyword': return 'void';
+    case 'TSNullKeyword': return 'null';
+    case 'TSUndefinedKeyword': return 'undefined';
+    case 'TSNeverKeyword': return 'never';
+    case 'TSUnknownKeyword': return 'unknown';
+    case 'TSIntrinsicKeyword': return 'intrinsic';
+    case 'TSThisType': return 'this';
+
+    case 'TSArrayType':
+      return `${wrapComplex(node.elementType, ctx)}[]`;
+
+    case 'TSTupleType':
+      return `[${joinWithin(node.elementTypes.map(element => printNode(element, ctx)), ', ', ctx)}]`;
+
+    case 'TSNamedTupleMember':
+      return `${node.label.name}${node.optional ? '?' : ''}: ${printNode(node.elementType, ctx)}`;
+
+    case 'TSOptionalType':
+      return `${wrapComplex(node.typeAnnotation, ctx)}?`;
+
+    case 'TSRestType':
+      return `...${printNode(node.typeAnnotation, ctx)}`;
+
+    case 'TSTypeReference':
+      return `${printEntityName(node.typeName)}${printTypeArguments(node.typeParameters, ctx)}`;
+
+    case 'TSExpressionWithTypeArguments':
+    case 'TSInterfaceHeritage':
+      return `${printEntityName(node.expression)}${printTypeArguments(node.typeParameters, ctx)}`;
+
+    case 'TSUnionType':
+      return joinWithin(node.types.map(member => wrapFunction(member, ctx)), ' | ', ctx);
+
+    case 'TSIntersectionType':
+      return joinWithin(node.types.map(member => wrapComplex(member, ctx)), ' & ', ctx);
+
+    case 'TSParenthesizedType':
+      return `(${printNode(node.typeAnnotation, ctx)})`;
+
+    case 'TSLiteralType':
+      return printLiteral(node.literal, ctx);
+
+    case 'TSFunctionType':
+      return `${printTypeParameters(node.typeParameters, ctx)}(${printParams(node.parameters || node.params, ctx)}) => ${printNode(node.typeAnnotation || node.returnType, ctx)}`;
+
+    case 'TSConstructorType':
+      return `${node.abstract ? 'abstract ' : ''}new ${printTypeParameters(node.typeParameters, ctx)}(${printParams(node.parameters || node.params, ctx)}) => ${printNode(node.typeAnnotation || node.returnType, ctx)}`;
+
+    case 'TSTypeLiteral':
+      if (node.members.length === 0) return '{}';
+      return `{ ${joinWithin(node.members.map(member => printMember(member, ctx)), '; ', ctx)} }`;
+
+    case 'TSTypeOperator':
+      return `${node.operator} ${wrapComplex(node.typeAnnotation, ctx)}`;
+
+    case 'TSTypeQuery':
+      return `typeof ${printEntityName(node.exprName, ctx)}${printTypeArguments(node.typeParameters, ctx)}`;
+
+    case 'TSImportType':
+      return printImportType(node, ctx);
+
+    case 'TSIndexedAccessType':
+      return `${wrapComplex(node.objectType, ctx)}[${printNode(node.indexType, ctx)}]`;
+
+    case 'TSConditionalType':
+      return `${wrapFunction(node.checkType, ctx)} extends ${wrapFunction(node.extendsType, ctx)} ? ${printNode(node.trueType, ctx)} : ${printNode(node.falseType, ctx)}`;
+
+    case 'TSInferType':
+      return `infer ${printTypeParameter(node.typeParameter, ctx)}`;
+
+    case 'TSMappedType':
+      return printMappedType(node, ctx);
+
+    case 'TSTypePredicate': {
+      const subject = node.parameterName.type === 'TSThisType' ? 'this' : node.parameterName.name;
+      const asserts = node.asserts ? 'asserts ' : '';
+      return node.typeAnnotation ? `${asserts}${subject} is ${printNode(node.typeAnnotation, ctx)}` : `${asserts}${subject}`;
+    }
+
+    default:
+      return 'any';
+  }
+}
+
+/**
+ * Prints an identifier, qualified name or import type used as a type name
+ * @param {object} node - Entity name AST node
+ * @param {object} [ctx] - Printer context
+ * @returns {string} - Entity name
+ */
+function printEntityName(node, ctx) {
+  if (!node) return 'unknown';
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (node.type === 'TSQualifiedName') return `${printEntityName(node.left, ctx)}.${node.right.name}`;
+  if (node.type === 'MemberExpression' && !node.computed) return `${printEntityName(node.object, ctx)}.${node.property.name}`;
+  if (node.type === 'TSImportType') return printImportType(node, ctx || { maxLength: Infinity });
+  return 'unknown';
+}
+
+/**
+ * Prints an `import("module").Name<T>` type
+ * @param {object} node - TSImportType AST node
+ * @param {object} ctx - Printer context
+ * @returns {string} - Type as string
+ */
+function printImportType(node, ctx) {
+  const source = node.argument.type === 'StringLiteral' ? node.argument.value : printNode(node.argument, ctx);
+  const qualifier = node.qualifier ? `.${printEntityName(node.qualifier, ctx)}` : '';
+  return `import(${JSON.stringify(source)})${qualifier}${printTypeArguments(node.typeParameters, ctx)}`;
+}
+
+/**
+ * Prints type arguments such as `<string, number>`
+ * @param {object} typeArguments - TSTypeParameterInstantiation AST node
+ * @param {object} ctx - Printer context
+ * @returns {string} - Type arguments, or an empty string
+ */
+function printTypeArguments(typeArguments, ctx) {
+  if (!typeArguments || !typeArguments.params || typeArguments.params.length === 0) {
+    return '';
+  }
+  return `<${joinWithin(typeArguments.params.map(param => printNode(param, ctx)), ', ', ctx)}>`;
+}
+
+/**
+ * Prints generic type parameters such as `<T extends Foo = Bar>`
+ * @param {object} typeParameters - TSTypeParameterDeclaration AST node
+ * @param {object} ctx - Printer context
+ * @returns {string} - Type parameters, or an empty string
+ */
+function printTypeParameters(typeParameters, ctx) {
+  if (!typeParameters || !typeParameters.params || typeParameters.params.length === 0) {
+    return '';
+  }
+  return `<${typeParameters.params.map(param => printTypeParameter(param, ctx)).join(', ')}>`;
+}
+
+/**
+ * Prints a single generic type parameter
+ * @param {object} param - TSTypeParameter AST node
+ * @param {object} ctx - Printer context
+ * @returns {string} - Type parameter
+ */
+function printTypeParameter(param, ctx) {
+  const name = typeof param.name === 'string' ? param.name : param.name.name;
+  const modifiers = `${param.const ? 'const ' : ''}${param.in ? 'in ' : ''}${param.out ? 'out ' : ''}`;
+  const constraint = param.constraint ? ` extends ${printNode(param.constraint, ctx)}` : '';
+  const defaultType = param.default ? ` = ${printNode(param.default, ctx)}` : '';
+  return `${modifiers}${name}${constraint}${defaultType}`;
+}
+
+/**
+ * Prints function parameters with their types
+ * @param {object[]} params - Parameter AST nodes
+ * @param {object} ctx - Printer context
+ * @returns {string} - Parameter list without the surrounding parentheses
+ */
+function printParams(params, ctx) {
+  return joinWithin((params || []).map(param => printParam(param, ctx)), ', ', ctx);
+}
+
+/**
+ * Prints a single function parameter
+ * @param {object} param - Parameter AST node
+ * @param {object} ctx - Printer context
+ * @returns {string} - Parameter as string
+ */
+function printParam(param, ctx) {
+  const annotation = param.typeAnnotation ? `: ${printNode(param.typeAnnotation, ctx)}` : '';
+
+  switch (param.type) {
+    case 'Identifier':
+      return `${param.name}${param.optional ? '?' : ''}${annotation}`;
+    case 'RestElement':
+      return `...${param.argument.type === 'Identifier' ? param.argument.name : 'rest'}${annotation}`;
+    case 'AssignmentPattern':
+      return `${printParam(param.left, ctx).replace(/^([^:?]+)/, '$1?')}`;
+    case 'ObjectPattern':
+      return `{ ${param.properties.map(prop => (prop.key && prop.key.name) || '...').join(', ')} }${annotation}`;
+    case 'ArrayPattern':
+      return `[${param.elements.map(element => (element && element.name) || '').join(', ')}]${annotation}`;
+    case 'TSParameterProperty':
+      return printParam(param.parameter, ctx);
+    default:
+      return 'arg';
+  }
+}
+
+/**
+ * Prints a member of a type literal
+ * @param {object} member - TypeScript type element AST node
+ * @param {object} ctx - Printer context
+ * @returns {string} - Member as string
+ */
+function printMember(member, ctx) {
+  const readonly = member.readonly ? 'readonly ' : '';
+  const optional = member.optional ? '?' : '';
+  const key = member.key ? printKey(member.key, member.computed) : '';
+  const returnType = member.typeAnnotation ? printNode(member.typeAnnotation, ctx) : 'any';
+
+  switch (member.type) {
+    case 'TSPropertySignature':
+      return `${readonly}${key}${optional}: ${returnType}`;
+    case 'TSMethodSignature': {
+      const prefix = member.kind === 'get' || member.kind === 'set' ? `${member.kind} ` : '';
+      return `${prefix}${key}${optional}${printTypeParameters(member.typeParameters, ctx)}(${printParams(member.parameters || member.params, ctx)}): ${returnType}`;
+    }
+    case 'TSIndexSignature':
+      return `${readonly}[${printParams(member.parameters, ctx)}]: ${returnType}`;
+    case 'TSCallSignatureDeclaration':
+      return `${printTypeParameters(member.typeParameters, ctx)}(${printParams(member.parameters || member.params, ctx)}): ${returnType}`;
+    case 'TSConstructSignatureDeclaration':
+      return `new ${printTypeParameters(member.typeParameters, ctx)}(${printParams(member.parameters || member.params, ctx)}): ${returnType}`;
+    default:
+      return ELISION;
+  }
+}
+
+/**
+ * Prints a property key of a type member
+ * @param {object} key - Key AST node
+ * @param {boolean} computed - Whether the key is computed
+ * @returns {string} - Key as string
+ */
+function printKey(key, computed) {
+  if (key.type === 'Identifier') return computed ? `[${key.name}]` : key.name;
+  if (key.type === 'StringLiteral') return JSON.stringify(key.value);
+  if (key.type === 'NumericLiteral') return String(key.value);
+  if (key.type === 'MemberExpression') return `[${printEntityName(key)}]`;
+  return '[computed]';
+}
+
+/**
+ * Prints a mapped type such as `{ readonly [K in keyof T]?: T[K] }`
+ * @param {object} node - TSMappedType AST node
+ * @param {object} ctx - Printer context
+ * @returns {string} - Type as string
+ */
+function printMappedType(node, ctx) {
+  const modifier = value => {
+    if (value === true) return '';
+    if (value === '+' || value === '-') return value;
+    return null;
+  };
+
+  const readonlyModifier = modifier(node.readonly);
+  const optionalModifier = modifier(node.optional);
+  const readonly = readonlyModifier === null ? '' : `${readonlyModifier}readonly `;
+  const optional = optionalModifier === null ? '' : `${optionalModifier}?`;
+
+  // Babel 7 nests the key in a type parameter; newer versions use key/constraint directly
+  const keyName = node.typeParameter ? node.typeParameter.name : node.key.name;
+  const constraint = node.typeParameter ? node.typeParameter.constraint : node.constraint;
+  const nameType = node.nameType ? ` as ${printNode(node.nameType, ctx)}` : '';
+  const valueType = node.typeAnnotation ? `: ${printNode(node.typeAnnotation, ctx)}` : '';
+
+  return `{ ${readonly}[${keyName} in ${printNode(constraint, ctx)}${nameType}]${optional}${valueType} }`;
+}
+
+/**
+ * Prints the literal of a literal type
+ * @param {object} literal - Literal AST node
+ * @param {object} ctx - Printer context
+ * @returns {string} - Literal as string
+ */
+function printLiteral(literal, ctx) {
+  switch (literal.type) {
+    case 'StringLiteral':
+      return JSON.stringify(literal.value);
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return String(literal.value);
+    case 'BigIntLiteral':
+      return `${literal.value}n`;
+    case 'UnaryExpression':
+      return `${literal.operator}${printLiteral(literal.argument, ctx)}`;
+    case 'TemplateLiteral':
+      return `\`${literal.quasis.map((quasi, index) => {
+        const expression = literal.expressions[index];
+        return `${quasi.value.raw}${expression ? `\${${printNode(expression, ctx)}}` : ''}`;
+      }).join('')}\``;
+    default:
+      return 'any';
+  }
+}
+
+/**
+ * Prints a type, parenthesizing it when it would otherwise bind incorrectly
+ * inside an array, intersection, operator or indexed access type
+ * @param {object} node - TypeScript type AST node
+ * @param {object} ctx - Printer context
+ * @returns {string} - Type as string
+ */
+function wrapComplex(node, ctx) {
+  const printed = printNode(node, ctx);
+  const needsParens = [
+    'TSUnionType',
+    'TSIntersectionType',
+    'TSFunctionType',
+    'TSConstructorType',
+    'TSConditionalType',
+    'TSTypeOperator',
+    'TSInferType',
+  ].includes(node && node.type);
+  return needsParens ? `(${printed})` : printed;
+}
+
+/**
+ * Prints a type, parenthesizing function and conditional types inside unions and conditions
+ * @param {object} node - TypeScript type AST node
+ * @param {object} ctx - Printer context
+ * @returns {string} - Type as string
+ */
+function wrapFunction(node, ctx) {
+  const printed = printNode(node, ctx);
+  const needsParens = ['TSFunctionType', 'TSConstructorType', 'TSConditionalType'].includes(node && node.type);
+  return needsParens ? `(${printed})` : printed;
+}
+
+/**
+ * Joins printed parts, replacing the trailing ones with the elision marker once the maximum length is reached
+ * @param {string[]} parts - Printed parts
+ * @param {string} separator - Separator between parts
+ * @param {object} ctx - Printer context
+ * @returns {string} - Joined string
+ */
+function joinWithin(parts, separator, ctx) {
+  // Leave room for the enclosing brackets and the marker so the final clip rarely has to cut mid-type
+  const budget = ctx.maxLength - JOIN_RESERVE;
+  let result = '';
+  for (let i = 0; i < parts.length; i++) {
+    const next = i === 0 ? parts[i] : `${result}${separator}${parts[i]}`;
+    // Always keep the first part so the result stays meaningful
+    if (i > 0 && next.length > budget) {
+      return `${result}${separator}${ELISION}`;
+    }
+    result = next;
+  }
+  return result;
+}
+
+/**
+ * Cuts a printed type down to the maximum length, ending it with the elision marker
+ * @param {string} printed - Printed type
+ * @param {number} maxLength - Maximum length
+ * @returns {string} - Clipped type
+ */
+function clip(printed, maxLength) {
+  if (printed.length <= maxLength) {
+    return printed;
+  }
+  return `${printed.slice(0, Math.max(maxLength - ELISION.length, 0)).trimEnd()}${ELISION}`;
+}
+
+export default {
+  printTSType,
+};
@@ -0,0 +1,89 @@
+import { watch } from 'fs';
+import path from 'path';
+import logger, { trace } from '../logger.js';
+import { UserInputError } from '../errors.js';
+
+/**
+ * Quiet period after the last change before an update runs
+ */
+export const DEFAULT_DEBOUNCE_MS = 200;
+
+/**
+ * Watches a directory tree and reports batches of changed paths
+ * @param {string} rootPath - Directory to watch
+ * @param {object} options - Watch options
+ * @param {Function} options.onChange - Async handler given the absolute changed paths, or null when
+ *   the platform did not say which files changed; the next batch waits until it settles
+ * @param {Function} [options.ignore] - Returns true for absolute paths whose changes do not matter
+ * @param {number} [options.debounceMs] - Quiet period before a batch is handed over
+ * @returns {object} - { close(): stops watching }
+ */
+export const watchSourceTree = trace(function watchSourceTree(rootPath, options) {
+  const { onChange, ignore = () => false, debounceMs = DEFAULT_DEBOUNCE_MS } = options;
+
+  let pending = new Set();
+  let unknownChange = false;
+  let timer = null;
+  let running = false;
+
+  const flush = () => {
+    timer = null;
+    if (running) {
+      return;
+    }
+    const changed = unknownChange ? null : [...pending];
+    pending = new Set();
+    unknownChange = false;
+
+    running = true;
+    Promise.resolve()
+      .then(() => onChange(changed))
+      .catch(err => logger.error({ err }, 'watch-update-failed'))
+      .finally(() => {
+        running = false;
+        // Changes that arrived during the update form the next batch
+        if (pending.size > 0 || unknownChange) {
+          schedule();
+        }
+      });
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounceMs);
+  };
+
+  let watcher;
+  try {
+    watcher = watch(rootPath, { recursive: true }, (eventType, filename) => {
+      if (!filename) {
+        unknownChange = true;
+      } else {
+        const filePath = path.resolve(rootPath, filename.toString());
+        if (ignore(filePath)) {
+          return;
+        }
+        pending.add(filePath);
+      }
+      schedule();
+    });
+  } catch (err) {
+    if (err.code === 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+      throw new UserInputError('--watch needs recursive file watching, which requires Node.js 20 or later on this platform');
+    }
+    throw err;
+  }
+  watcher.on('error', err => logger.error({ err }, 'watch-error'));
+
+  return {
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+    },
+  };
+});
+
+export default {
+  DEFAULT_DEBOUNCE_MS,
+  watchSourceTree,
+};
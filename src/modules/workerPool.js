@@ -0,0 +1,235 @@
+import os from 'os';
+import { Worker } from 'worker_threads';
+import { trace } from '../logger.js';
+import { ParseError, FileSystemError } from '../errors.js';
+import { readFile } from './fileSystem.js';
+import { parseFile } from './parser.js';
+import { getFileParserOptions } from './config.js';
+import { hashContent, readCacheEntry, writeCacheEntry } from './cache.js';
+
+/**
+ * Worker threads used unless --concurrency is given: one per core, leaving one for the main thread
+ */
+export const DEFAULT_CONCURRENCY = Math.max(1, (os.availableParallelism ? os.availableParallelism() : os.cpus().length) - 1);
+
+const WORKER_SCRIPT = new URL('./parseWorker.js', import.meta.url);
+
+/**
+ * Reads and parses source files, in worker threads when concurrency allows
+ * @param {string[]} filePaths - Files to parse
+ * @param {object} config - Final configuration (see applyProjectConfig)
+ * @param {object} [options] - Pool options
+ * @param {number} [options.concurrency] - Number of worker threads; 1 parses on the main thread
+ * @param {boolean} [options.stopOnError] - Reject on the first file that fails to parse
+ * @param {string} [options.cacheDir] - Reuse and store metadata in this cache directory
+ * @param {string} [options.rev] - Read the files as they are in this git commit
+ * @param {Function} [options.onResult] - Called with each result as it arrives, in completion order
+ * @returns {Promise<object[]>} - Results in the order of filePaths, as { filePath, metadata, hash, cached }
+ *   or { filePath, error }
+ */
+export const parseFiles = trace(async function parseFiles(filePaths, config, options = {}) {
+  const {
+    concurrency = DEFAULT_CONCURRENCY,
+    stopOnError = false,
+    cacheDir = null,
+    rev = null,
+    onResult = () => {},
+  } = options;
+
+  const results = new Array(filePaths.length);
+  const accept = (index, result) => {
+    if (result.error && (stopOnError || !(result.error instanceof ParseError))) {
+      throw result.error;
+    }
+    results[index] = result;
+    onResult(result);
+  };
+
+  // Workers cost more to start than small projects take to parse
+  const workerCount = Math.min(concurrency, filePaths.length);
+  if (workerCount <= 1) {
+    for (let index = 0; index < filePaths.length; index++) {
+      const filePath = filePaths[index];
+      let result;
+      try {
+        result = { filePath, ...await extractFile(filePath, getFileParserOptions(config, filePath), { cacheDir, rev }) };
+      } catch (err) {
+        result = { filePath, error: err };
+      }
+      accept(index, result);
+    }
+    return results;
+  }
+
+  await runWorkers(filePaths, config, workerCount, { cacheDir, rev }, accept);
+  return results;
+});
+
+/**
+ * Reads and parses one file, reusing cached metadata when the content has not changed
+ * @param {string} filePath - Absolute file path
+ * @param {object} parserOptions - Options for parseFile
+ * @param {object} [source] - Where the file comes from
+ * @param {string|null} [source.cacheDir] - Cache directory, or null to always parse
+ * @param {string|null} [source.rev] - Git commit to read the file from, or null for the working tree
+ * @returns {Promise<object>} - { metadata, hash, cached }
+ */
+export const extractFile = trace(async function extractFile(filePath, parserOptions, source = {}) {
+  const { cacheDir = null, rev = null } = source;
+  const content = await readFile(filePath, { rev });
+  const hash = hashContent(content);
+
+  const cachedMetadata = cacheDir ? await readCacheEntry(cacheDir, filePath, hash, parserOptions) : null;
+  if (cachedMetadata) {
+    return { metadata: cachedMetadata, hash, cached: true };
+  }
+
+  const metadata = parseFile(content, filePath, parserOptions);
+  if (cacheDir) {
+    await writeCacheEntry(cacheDir, filePath, hash, parserOptions, metadata);
+  }
+  return { metadata, hash, cached: false };
+});
+
+/**
+ * Hands files to a pool of worker threads, one file per worker at a time
+ * @param {string[]} filePaths - Files to parse
+ * @param {object} config - Final configuration
+ * @param {number} workerCount - Number of workers to start
+ * @param {object} source - { cacheDir, rev } for extractFile
+ * @param {Function} accept - Stores a result by index; throws to stop the pool
+ * @returns {Promise<void>} - Resolves when every file has been parsed
+ */
+function runWorkers(filePaths, config, workerCount, source, accept) {
+  const workers = new Set();
+  // Index of the file each busy worker is parsing
+  const assigned = new Map();
+  let nextIndex = 0;
+  let pending = filePaths.length;
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const finish = err => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      Promise.all([...workers].map(worker => worker.terminate()))
+        .then(() => (err ? reject(err) : resolve()), reject);
+    };
+
+    const dispatch = worker => {
+      if (nextIndex >= filePaths.length) {
+        return;
+      }
+      const index = nextIndex;
+      nextIndex += 1;
+      assigned.set(worker, index);
+      const filePath = filePaths[index];
+      worker.postMessage({
+        index, filePath, options: getFileParserOptions(config, filePath), source,
+      });
+    };
+
+    const complete = (worker, index, result) => {
+      assigned.delete(worker);
+      try {
+        accept(index, result);
+      } catch (err) {
+        finish(err);
+        return;
+      }
+
+      pending -= 1;
+      if (pending === 0) {
+        finish();
+      } else if (workers.has(worker)) {
+        dispatch(worker);
+      }
+    };
+
+    const replaceWorker = (worker, message) => {
+      workers.delete(worker);
+      if (assigned.has(worker)) {
+        const index = assigned.get(worker);
+        complete(worker, index, { filePath: filePaths[index], error: createWorkerError(filePaths[index], message) });
+      }
+      if (!settled && nextIndex < filePaths.length) {
+        startWorker();
+      }
+    };
+
+    const startWorker = () => {
+      const worker = new Worker(WORKER_SCRIPT);
+      workers.add(worker);
+
+      worker.on('message', ({ index, error, ...extracted }) => {
+        if (settled) {
+          return;
+        }
+        const filePath = filePaths[index];
+        complete(worker, index, error ? { filePath, error: reviveError(error) } : { filePath, ...extracted });
+      });
+      // A worker that dies on a file, e.g. out of memory on a huge one, fails that file like a parse
+      // error and a new worker takes over the rest. Out of memory emits 'error' before 'exit'.
+      worker.on('error', err => {
+        if (!settled && assigned.has(worker)) {
+          replaceWorker(worker, `Worker failed: ${err.message}`);
+        } else {
+          finish(err);
+        }
+      });
+      worker.on('exit', code => {
+        if (!settled && code !== 0 && workers.has(worker)) {
+          replaceWorker(worker, `Worker exited with code ${code}`);
+        }
+        workers.delete(worker);
+      });
+
+      dispatch(worker);
+    };
+
+    for (let i = 0; i < workerCount; i++) {
+      startWorker();
+    }
+  });
+}
+
+/**
+ * Creates the error for a file whose worker failed or exited before posting a result
+ * @param {string} filePath - File the worker was parsing
+ * @param {string} message - What happened to the worker
+ * @returns {ParseError} - Error with a diagnostic, so tolerant runs skip only this file
+ */
+function createWorkerError(filePath, message) {
+  const error = new ParseError(`Failed to parse ${filePath}: ${message}`, filePath, null);
+  error.diagnostic = {
+    severity: 'error', line: null, column: null, message,
+  };
+  return error;
+}
+
+/**
+ * Rebuilds an error posted by a worker, keeping the application error classes
+ * @param {object} error - Error fields from parseWorker
+ * @returns {Error} - Error instance
+ */
+function reviveError(error) {
+  let revived;
+  if (error.name === 'ParseError') {
+    revived = new ParseError(error.message, error.path, error.position);
+    revived.diagnostic = error.diagnostic;
+  } else if (error.name === 'FileSystemError') {
+    revived = new FileSystemError(error.message, error.path);
+  } else {
+    revived = new Error(error.message);
+  }
+  revived.stack = error.stack;
+  return revived;
+}
+
+export default {
+  DEFAULT_CONCURRENCY,
+  parseFiles,
+  extractFile,
+};
@@ -0,0 +1,26 @@
+import { Service } from './service';
+
+/**
+ * Options shared by every service
+ */
+export interface ServiceOptions {
+  ttl?: number;
+}
+
+/**
+ * Keeps one service per record kind
+ */
+export class Registry {
+  private services = new Map<string, Service<unknown>>();
+
+  /**
+   * Registers a service under its kind
+   * @param service - Service to register
+   */
+  register(service: unknown): void {
+    if (!(service instanceof Service)) {
+      throw new TypeError('Not a service');
+    }
+    this.services.set(service.kind, service);
+  }
+}
@@ -0,0 +1,43 @@
+import type { ServiceOptions } from './registry';
+
+/**
+ * Base for services that load records of one kind
+ */
+export abstract class Service<T> {
+  #cache = new Map<string, T>();
+
+  protected static instances = 0;
+
+  protected options: ServiceOptions = {};
+
+  constructor(public readonly kind: string, private svc: Fetcher) {
+    Service.instances += 1;
+  }
+
+  /**
+   * Loads a record, from the cache when it has been loaded before
+   * @param id - Record id
+   */
+  async load(id: string): Promise<T> {
+    if (!this.#cache.has(id)) {
+      this.#cache.set(id, this.decode(await this.svc.fetch(`${this.kind}/${id}`)));
+    }
+    return this.#cache.get(id) as T;
+  }
+
+  find(id: string): T | undefined;
+  find(ids: string[]): T[];
+  find(idOrIds: string | string[]): T | T[] | undefined {
+    return Array.isArray(idOrIds) ? idOrIds.map(id => this.#lookup(id)) : this.#lookup(idOrIds);
+  }
+
+  #lookup(id: string): T | undefined {
+    return this.#cache.get(id);
+  }
+
+  protected abstract decode(raw: string): T;
+}
+
+export interface Fetcher {
+  fetch(path: string): Promise<string>;
+}